@@ -0,0 +1,207 @@
+/**
+ * export.js
+ * Result files of a finished run: CSV (7 significant digits or full
+ * precision), JSON with units and probe definitions, a binary Float64
+ * format and one CSV per probe. Each embeds the run's metadata and deck.
+ *
+ * Files are returned as { name, type, parts }; 'parts' is a list of strings
+ * and typed arrays, ready for new Blob(parts) in the browser or sequential
+ * writes under Node, so no single string holds a multi-million-row file.
+ */
+
+// Rows per string part
+const CHUNK_ROWS = 10000;
+
+// Binary files: magic, then the format version, then the header length
+const BINARY_MAGIC = 'WSCR';
+const BINARY_VERSION = 1;
+
+const LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+export const EXPORT_FORMATS = {
+    'csv': 'CSV, 7 significant digits',
+    'csv-full': 'CSV, full precision',
+    'json': 'JSON with units and probe definitions',
+    'binary': 'Binary Float64 with header',
+    'probes': 'One CSV per probe'
+};
+
+const UNITS = {
+    voltage: 'V', current: 'A', power: 'W', energy: 'J', dissipated: 'J',
+    stored: 'J', charge: 'C', dvdt: 'V/s', didt: 'A/s', expression: ''
+};
+
+/**
+ * Description of a run for the file headers. 'meta' carries what the
+ * simulation does not know itself: { deck, parameters, seed }.
+ */
+export function runMetadata(sim, meta = {}) {
+    const config = sim.config;
+    return {
+        generator: 'WebScreamer',
+        created: new Date().toISOString(),
+        dt: config.dt,
+        schedule: config.schedule,
+        adaptive: config.adaptive || null,
+        t_end: config.t_end,
+        nodes: config.nodes.length,
+        steps: sim.steps,
+        stopped: sim.stopped,
+        parameters: meta.parameters || {},
+        seed: (meta.seed === undefined) ? null : meta.seed,
+        deck: meta.deck || ''
+    };
+}
+
+/**
+ * What each probe measures: { label, quantity, unit, block?, node?, expression? }.
+ */
+export function probeDefinitions(config) {
+    return config.outputRequests.map(req => {
+        const def = { label: req.label, quantity: req.type, unit: UNITS[req.type] };
+        if (req.type === 'expression') {
+            def.expression = req.source;
+            return def;
+        }
+        const k = config.blocks.findIndex(b => b.startNode === req.startNode && b.endNode === req.endNode);
+        if (k >= 0) def.block = config.blocks[k].name || `${config.blocks[k].type}#${k + 1}`;
+        def.node = req.nodeIndex;
+        return def;
+    });
+}
+
+/**
+ * Files for one export format (a key of EXPORT_FORMATS).
+ */
+export function exportRun(sim, format, meta = {}) {
+    const metadata = runMetadata(sim, meta);
+    const probes = probeDefinitions(sim.config);
+    const columns = [sim.time, ...sim.labels.map(label => sim.trace(label))];
+
+    switch (format) {
+        case 'csv':
+            return [{ name: 'simulation_output.csv', type: 'text/csv',
+                      parts: csvParts(['Time(s)', ...sim.labels], columns, v => v.toExponential(6), metadata, probes) }];
+        case 'csv-full':
+            return [{ name: 'simulation_output_full.csv', type: 'text/csv',
+                      parts: csvParts(['Time(s)', ...sim.labels], columns, String, metadata, probes) }];
+        case 'json':
+            return [{ name: 'simulation_output.json', type: 'application/json',
+                      parts: jsonParts(sim.labels, columns, metadata, probes) }];
+        case 'binary':
+            return [{ name: 'simulation_output.bin', type: 'application/octet-stream',
+                      parts: binaryParts(['Time(s)', ...sim.labels], columns, metadata, probes) }];
+        case 'probes':
+            return sim.labels.map((label, idx) => ({
+                name: `probe_${label.replace(/[^A-Za-z0-9_.-]/g, '_')}.csv`,
+                type: 'text/csv',
+                parts: csvParts(['Time(s)', label], [columns[0], columns[idx + 1]], String, metadata, [probes[idx]])
+            }));
+        default:
+            throw new Error(`Unknown export format '${format}'`);
+    }
+}
+
+/**
+ * '#' comment lines opening every CSV: metadata, probe definitions and the deck.
+ */
+function csvHeader(metadata, probes) {
+    const lines = [
+        `# ${metadata.generator} simulation output`,
+        `# created: ${metadata.created}`,
+        `# dt: ${metadata.dt}`,
+        `# t_end: ${metadata.t_end}`,
+        `# nodes: ${metadata.nodes}`,
+        `# steps: ${metadata.steps}`
+    ];
+    if (metadata.schedule && metadata.schedule.length > 1) {
+        lines.push(`# schedule: ${metadata.schedule.map(s => `${s.dt} from ${s.from}`).join(', ')}`);
+    }
+    if (metadata.adaptive) {
+        lines.push(`# adaptive: dt_min ${metadata.adaptive.dtMin}, tol ${metadata.adaptive.tolerance}`);
+    }
+    if (metadata.stopped) {
+        lines.push(`# stopped: ${metadata.stopped.label} ${metadata.stopped.op} ${metadata.stopped.limit} at ${metadata.stopped.time}`);
+    }
+    if (metadata.seed !== null) lines.push(`# seed: ${metadata.seed}`);
+    probes.forEach(p => {
+        const where = (p.expression !== undefined) ? `= ${p.expression}` : `at ${p.block || 'node ' + p.node}`;
+        lines.push(`# probe ${p.label}: ${p.quantity}${p.unit ? ` [${p.unit}]` : ''} ${where}`);
+    });
+    lines.push('# deck:');
+    metadata.deck.split('\n').forEach(line => lines.push(`#   ${line}`));
+    return lines.join('\n') + '\n';
+}
+
+function csvParts(headers, columns, format, metadata, probes) {
+    const parts = [csvHeader(metadata, probes) + headers.join(',') + '\n'];
+    const rows = columns[0].length;
+    for (let start = 0; start < rows; start += CHUNK_ROWS) {
+        const end = Math.min(rows, start + CHUNK_ROWS);
+        const lines = new Array(end - start);
+        for (let i = start; i < end; i++) {
+            let line = format(columns[0][i]);
+            for (let c = 1; c < columns.length; c++) line += ',' + format(columns[c][i]);
+            lines[i - start] = line;
+        }
+        parts.push(lines.join('\n') + '\n');
+    }
+    return parts;
+}
+
+/**
+ * { metadata, probes, time: [...], data: { label: [...] } }, numbers at full
+ * precision (NaN as null).
+ */
+function jsonParts(labels, columns, metadata, probes) {
+    const parts = [`{"metadata":${JSON.stringify(metadata)},"probes":${JSON.stringify(probes)},"time":`];
+    pushJsonArray(parts, columns[0]);
+    parts.push(',"data":{');
+    labels.forEach((label, idx) => {
+        parts.push(`${idx > 0 ? ',' : ''}${JSON.stringify(label)}:`);
+        pushJsonArray(parts, columns[idx + 1]);
+    });
+    parts.push('}}\n');
+    return parts;
+}
+
+function pushJsonArray(parts, values) {
+    parts.push('[');
+    for (let start = 0; start < values.length; start += CHUNK_ROWS) {
+        const end = Math.min(values.length, start + CHUNK_ROWS);
+        const items = new Array(end - start);
+        for (let i = start; i < end; i++) {
+            items[i - start] = Number.isFinite(values[i]) ? String(values[i]) : 'null';
+        }
+        parts.push((start > 0 ? ',' : '') + items.join(','));
+    }
+    parts.push(']');
+}
+
+/**
+ * Binary layout (little-endian):
+ *   'WSCR', uint32 version, uint32 header length H,
+ *   H bytes of UTF-8 JSON { metadata, probes, columns, rows }, zero-padded
+ *   to a multiple of 8 bytes, then each column (time first) as 'rows'
+ *   float64 values.
+ */
+function binaryParts(headers, columns, metadata, probes) {
+    const header = new TextEncoder().encode(JSON.stringify({
+        metadata: metadata, probes: probes, columns: headers, rows: columns[0].length
+    }));
+    const start = 12 + header.length;
+    const prefix = new Uint8Array(start + (8 - start % 8) % 8);
+    prefix.set([...BINARY_MAGIC].map(ch => ch.charCodeAt(0)), 0);
+    const view = new DataView(prefix.buffer);
+    view.setUint32(4, BINARY_VERSION, true);
+    view.setUint32(8, header.length, true);
+    prefix.set(header, 12);
+
+    return [prefix, ...columns.map(column => LITTLE_ENDIAN ? column : toLittleEndian(column))];
+}
+
+function toLittleEndian(column) {
+    const bytes = new DataView(new ArrayBuffer(8 * column.length));
+    for (let i = 0; i < column.length; i++) bytes.setFloat64(8 * i, column[i], true);
+    return new Uint8Array(bytes.buffer);
+}
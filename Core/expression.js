@@ -0,0 +1,182 @@
+/**
+ * expression.js
+ * Small arithmetic expression compiler.
+ * Turns text such as "VLOAD / VIN" or "0.5 * (a + b)^2" into a closure
+ * that is evaluated against a name lookup function.
+ * Numbers accept SI prefixes and an optional unit: 100n, 5k, 3.1u, 80kV.
+ */
+
+// Powers of ten, added to the number's exponent so 100n reads exactly as 100e-9
+const SI_PREFIX = {
+    f: -15, p: -12, n: -9, u: -6, 'µ': -6, m: -3,
+    k: 3, M: 6, G: 9, T: 12
+};
+
+const FUNCTIONS = {
+    abs: Math.abs,
+    sqrt: Math.sqrt,
+    exp: Math.exp,
+    ln: Math.log,
+    log: Math.log,
+    log10: Math.log10,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    min: Math.min,
+    max: Math.max,
+    pow: Math.pow
+};
+
+export const FUNCTION_NAMES = new Set(Object.keys(FUNCTIONS));
+
+/**
+ * Compiles an expression.
+ * Returns { evaluate(lookup), names } where lookup(name) supplies the value
+ * of each identifier and names lists the identifiers referenced.
+ * 'functions' adds caller-supplied functions (lower-case names) to the
+ * built-in set.
+ * Throws an Error on malformed input.
+ */
+export function compileExpression(text, functions = {}) {
+    const tokens = tokenize(text);
+    const names = new Set();
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = (value) => {
+        const tok = next();
+        if (!tok || tok.value !== value) {
+            throw new Error(`Expected '${value}' in expression "${text}"`);
+        }
+    };
+
+    // expr := term (('+' | '-') term)*
+    function parseExpr() {
+        let left = parseTerm();
+        while (peek() && (peek().value === '+' || peek().value === '-')) {
+            const op = next().value;
+            const a = left;
+            const b = parseTerm();
+            left = (op === '+') ? (s) => a(s) + b(s) : (s) => a(s) - b(s);
+        }
+        return left;
+    }
+
+    // term := unary (('*' | '/') unary)*
+    function parseTerm() {
+        let left = parseUnary();
+        while (peek() && (peek().value === '*' || peek().value === '/')) {
+            const op = next().value;
+            const a = left;
+            const b = parseUnary();
+            left = (op === '*') ? (s) => a(s) * b(s) : (s) => a(s) / b(s);
+        }
+        return left;
+    }
+
+    // unary := ('-' | '+') unary | power
+    function parseUnary() {
+        if (peek() && peek().value === '-') {
+            next();
+            const a = parseUnary();
+            return (s) => -a(s);
+        }
+        if (peek() && peek().value === '+') {
+            next();
+            return parseUnary();
+        }
+        return parsePower();
+    }
+
+    // power := primary ('^' unary)?   (right associative)
+    function parsePower() {
+        const base = parsePrimary();
+        if (peek() && peek().value === '^') {
+            next();
+            const exponent = parseUnary();
+            return (s) => Math.pow(base(s), exponent(s));
+        }
+        return base;
+    }
+
+    // primary := number | name | name '(' args ')' | '(' expr ')'
+    function parsePrimary() {
+        const tok = next();
+        if (!tok) throw new Error(`Unexpected end of expression "${text}"`);
+
+        if (tok.type === 'number') {
+            const v = tok.value;
+            return () => v;
+        }
+        if (tok.value === '(') {
+            const inner = parseExpr();
+            expect(')');
+            return inner;
+        }
+        if (tok.type === 'name') {
+            if (peek() && peek().value === '(') {
+                const key = tok.value.toLowerCase();
+                const fn = functions[key] || FUNCTIONS[key];
+                if (!fn) throw new Error(`Unknown function '${tok.value}' in expression "${text}"`);
+                next();
+                const args = [];
+                if (peek() && peek().value !== ')') {
+                    args.push(parseExpr());
+                    while (peek() && peek().value === ',') {
+                        next();
+                        args.push(parseExpr());
+                    }
+                }
+                expect(')');
+                return (s) => fn(...args.map(a => a(s)));
+            }
+            const name = tok.value;
+            names.add(name);
+            return (s) => s(name);
+        }
+        throw new Error(`Unexpected '${tok.value}' in expression "${text}"`);
+    }
+
+    const root = parseExpr();
+    if (pos < tokens.length) {
+        throw new Error(`Unexpected '${tokens[pos].value}' in expression "${text}"`);
+    }
+
+    return { evaluate: root, names: [...names] };
+}
+
+// Units are accepted for readability only; they are not checked.
+const NUMBER_RE = '(\\d+\\.?\\d*(?:[eE][+-]?\\d+)?|\\.\\d+(?:[eE][+-]?\\d+)?)' +
+    '([fpnuµmkMGT])?(Ohm|ohm|Hz|[VAFHsSWJCΩmg])?(?![A-Za-z0-9_])';
+
+/**
+ * Value of a number token with an optional SI prefix. The prefix shifts
+ * the exponent of the decimal text instead of multiplying, which would
+ * round (100 * 1e-9 is not 100e-9).
+ */
+function scaleNumber(digits, prefix) {
+    if (prefix === undefined) return parseFloat(digits);
+    const [mantissa, exponent = '0'] = digits.split(/[eE]/);
+    return Number(`${mantissa}e${parseInt(exponent, 10) + SI_PREFIX[prefix]}`);
+}
+
+function tokenize(text) {
+    const tokens = [];
+    const re = new RegExp('\\s*(?:' + NUMBER_RE + '|([A-Za-z_][A-Za-z0-9_.]*)|(\\S))', 'y');
+    let m;
+    re.lastIndex = 0;
+    while (re.lastIndex < text.length && (m = re.exec(text)) !== null) {
+        if (m[1] !== undefined) {
+            tokens.push({ type: 'number', value: scaleNumber(m[1], m[2]) });
+        }
+        else if (m[4] !== undefined) tokens.push({ type: 'name', value: m[4] });
+        else if (m[5] !== undefined) {
+            if ('+-*/^(),'.indexOf(m[5]) < 0) {
+                throw new Error(`Unexpected '${m[5]}' in expression "${text}"`);
+            }
+            tokens.push({ type: 'op', value: m[5] });
+        }
+    }
+    return tokens;
+}
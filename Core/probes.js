@@ -0,0 +1,188 @@
+/**
+ * probes.js
+ * Evaluates the compiled output requests against the solver state.
+ * Raw probes read one node; derived probes (power, energy, charge,
+ * derivatives, expressions) are built from them as the run advances.
+ */
+
+export class ProbeRecorder {
+    constructor(outputRequests, solver) {
+        this.requests = outputRequests;
+        this.solver = solver;
+        this.nodes = solver.nodes;
+
+        const n = outputRequests.length;
+        // Latest unsmoothed value of every probe
+        this.values = new Float64Array(n);
+        // Running integral (energy, charge) or previous sample (derivatives)
+        this.state = new Float64Array(n);
+
+        this.labelIndex = {};
+        // Deck parameters referenced by expression probes
+        this.constants = {};
+        this.ports = [];
+        outputRequests.forEach((req, idx) => {
+            this.labelIndex[req.label] = idx;
+            if (req.constants) Object.assign(this.constants, req.constants);
+            this.ports.push(this.resolvePorts(req));
+        });
+
+        this.time = 0;
+        this.lookup = (name) => {
+            if (name === 't') return this.time;
+            const idx = this.labelIndex[name];
+            return (idx !== undefined) ? this.values[idx] : this.constants[name];
+        };
+    }
+
+    /**
+     * Node indices where power enters and leaves a block.
+     * -1 marks a missing neighbour (circuit start or end of a branch).
+     */
+    resolvePorts(req) {
+        if (req.startNode === undefined) return null;
+        const N = this.nodes.length;
+        const s = req.startNode;
+        const e = req.endNode;
+        const inNode = (s > 0) ? s - 1 : -1;
+        const outNode = (e + 1 < N && this.nodes[e + 1].junction === undefined) ? e + 1 : -1;
+        return { inNode, outNode };
+    }
+
+    /**
+     * Records the t=0 state straight from the initial-condition buffers.
+     * Integrals start at zero and derivatives are taken as zero.
+     */
+    sampleInitial() {
+        const V = this.solver.mem.V_old;
+        const I = this.solver.mem.I_old;
+        this.time = 0;
+        for (let idx = 0; idx < this.requests.length; idx++) {
+            const req = this.requests[idx];
+            let val = 0;
+            switch (req.type) {
+                case 'voltage': val = V[req.nodeIndex]; break;
+                case 'current': val = I[req.nodeIndex]; break;
+                case 'power': val = this.blockPower(req, this.ports[idx], V, I); break;
+                case 'stored': val = this.blockStored(req, V, I); break;
+                case 'dvdt': this.state[idx] = V[req.nodeIndex]; break;
+                case 'didt': this.state[idx] = I[req.nodeIndex]; break;
+                case 'expression': val = req.expression.evaluate(this.lookup); break;
+            }
+            this.values[idx] = val;
+        }
+        return this.values;
+    }
+
+    /**
+     * Snapshot for a checkpoint: the latest value and running state of
+     * every probe, by label.
+     */
+    saveState() {
+        return {
+            time: this.time,
+            probes: this.requests.map((req, idx) => ({
+                label: req.label, type: req.type, value: this.values[idx], state: this.state[idx]
+            }))
+        };
+    }
+
+    /**
+     * Restores a saveState() snapshot onto the probes with the same label
+     * and type. Returns the labels restored.
+     */
+    loadState(saved) {
+        this.time = saved.time;
+        const restored = [];
+        for (const p of saved.probes) {
+            const idx = this.labelIndex[p.label];
+            if (idx === undefined || this.requests[idx].type !== p.type) continue;
+            this.values[idx] = p.value;
+            this.state[idx] = p.state;
+            restored.push(p.label);
+        }
+        return restored;
+    }
+
+    /**
+     * Samples every probe after a solver step of length dt ending at 'time'.
+     * Returns the shared values array (valid until the next call).
+     */
+    sample(time, dt) {
+        const mem = this.solver.mem;
+        const V = mem.V_new;
+        const I = mem.I_new;
+        this.time = time;
+        for (let idx = 0; idx < this.requests.length; idx++) {
+            const req = this.requests[idx];
+            let val;
+            switch (req.type) {
+                case 'voltage':
+                    val = V[req.nodeIndex];
+                    break;
+                case 'current':
+                    val = I[req.nodeIndex];
+                    break;
+                case 'power':
+                    val = this.blockPower(req, this.ports[idx], V, I);
+                    break;
+                case 'energy':
+                    this.state[idx] += this.blockPower(req, this.ports[idx], V, I) * dt;
+                    val = this.state[idx];
+                    break;
+                case 'dissipated':
+                    this.state[idx] += this.blockDissipation(req, V, I) * dt;
+                    val = this.state[idx];
+                    break;
+                case 'stored':
+                    val = this.blockStored(req, V, I);
+                    break;
+                case 'charge':
+                    this.state[idx] += I[req.nodeIndex] * dt;
+                    val = this.state[idx];
+                    break;
+                case 'dvdt':
+                    val = (V[req.nodeIndex] - this.state[idx]) / dt;
+                    this.state[idx] = V[req.nodeIndex];
+                    break;
+                case 'didt':
+                    val = (I[req.nodeIndex] - this.state[idx]) / dt;
+                    this.state[idx] = I[req.nodeIndex];
+                    break;
+                case 'expression':
+                    val = req.expression.evaluate(this.lookup);
+                    break;
+            }
+            this.values[idx] = val;
+        }
+        return this.values;
+    }
+
+    /** Net power into a block: V_in * I_in - V_out * I_out. */
+    blockPower(req, ports, V, I) {
+        let p = 0;
+        if (ports.inNode >= 0) p += V[req.startNode] * I[ports.inNode];
+        if (ports.outNode >= 0) p -= V[ports.outNode] * I[req.endNode];
+        return p;
+    }
+
+    /** Instantaneous G*V^2 + R*I^2 over every node of a block, phantoms included. */
+    blockDissipation(req, V, I) {
+        let p = 0;
+        for (let k = req.startNode; k <= req.endNode; k++) {
+            const node = this.nodes[k];
+            p += node.G * V[k] * V[k] + node.R * I[k] * I[k];
+        }
+        return p;
+    }
+
+    /** Energy held in the block's capacitors and inductors. */
+    blockStored(req, V, I) {
+        let w = 0;
+        for (let k = req.startNode; k <= req.endNode; k++) {
+            const node = this.nodes[k];
+            w += 0.5 * node.C * V[k] * V[k] + 0.5 * node.L * I[k] * I[k];
+        }
+        return w;
+    }
+}
@@ -0,0 +1,28 @@
+/**
+ * random.js
+ * Seedable pseudo-random numbers for reproducible Monte Carlo runs.
+ */
+
+/**
+ * Returns a Math.random-like function (uniform on [0, 1)) driven by a 32-bit
+ * seed, using the mulberry32 generator. The same seed always gives the same
+ * sequence.
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Seed for run 'index' of a Monte Carlo series started from 'seed'.
+ * Spreads consecutive runs across the seed space so their streams differ.
+ */
+export function runSeed(seed, index) {
+    return (seed + Math.imul(index + 1, 0x9E3779B9)) >>> 0;
+}
@@ -0,0 +1,423 @@
+/**
+ * simulation.js
+ * One simulation run of a compiled deck: marches the solver along the
+ * deck's time base, records every probe (trapezoid-smoothed, full resolution
+ * plus a plot-sized subset) and builds the CSV. Shared by worker.js in the
+ * browser and cli.js under Node.
+ */
+
+import { Solver } from './solver.js';
+import { ProbeRecorder } from './probes.js';
+import { TimeStepper } from './timestep.js';
+
+// Approximate number of points kept per trace for plotting
+const PLOT_POINTS = 2000;
+
+// Identifies checkpoint files; bump the version when their layout changes
+export const CHECKPOINT_FORMAT = 'webscreamer-checkpoint';
+export const CHECKPOINT_VERSION = 1;
+
+export class Simulation {
+    /**
+     * config: the result of CircuitCompiler.compile (without errors).
+     */
+    constructor(config) {
+        this.config = config;
+        this.solver = new Solver(config.nodes, config.dt);
+        this.probes = new ProbeRecorder(config.outputRequests, this.solver);
+
+        const schedule = config.schedule || [{ from: 0, dt: config.dt }];
+        this.stepper = new TimeStepper(schedule, config.t_end, config.adaptive || null);
+
+        // Plot points sit on a fixed grid, a whole number of the finest
+        // scheduled steps apart, so every run of a deck shares its plot time base.
+        const finest = Math.min(...schedule.map(s => s.dt));
+        this.plotInterval = finest * Math.max(1, Math.ceil(config.t_end / finest / PLOT_POINTS));
+        this.nextPlot = 1;
+
+        // Recorded samples; the buffers grow as the run goes (the step count
+        // is only known in advance for a uniform time base)
+        this.count = 0;
+        let capacity = 1;
+        schedule.forEach((s, k) => {
+            const until = (k + 1 < schedule.length) ? schedule[k + 1].from : config.t_end;
+            capacity += Math.ceil((until - s.from) / s.dt);
+        });
+
+        this.labels = config.outputRequests.map(req => req.label);
+        this.plotData = {};
+        this.labels.forEach(label => {
+            this.plotData[label] = {
+                x: [],
+                y: [],
+                fullDataV: new Float64Array(capacity),
+                // Plot points already handed out by newPlotPoints()
+                sent: 0
+            };
+        });
+        // Same records as plotData, in probe order, for the stepping loop
+        this.datasets = this.labels.map(label => this.plotData[label]);
+        this.prevValues = new Float64Array(this.labels.length).fill(0);
+        this.timeBuffer = new Float64Array(capacity);
+
+        // STOP-IF conditions, checked against the raw probe values each step
+        this.stopConditions = (config.stopConditions || []).map(c => ({ ...c, index: this.labels.indexOf(c.label) }));
+        // Set to { label, op, limit, time, value } when one of them ends the run
+        this.stopped = null;
+    }
+
+    get done() {
+        return this.stepper.done || this.stopped !== null;
+    }
+
+    /** Percentage of simulated time completed. */
+    get progress() {
+        return Math.min(100, Math.round((this.stepper.time / this.config.t_end) * 100));
+    }
+
+    /** Number of solver steps taken so far. */
+    get steps() {
+        return Math.max(0, this.count - 1);
+    }
+
+    /** Recorded time points. */
+    get time() {
+        return this.timeBuffer.subarray(0, this.count);
+    }
+
+    /** Full-resolution record of one probe, aligned with 'time'. */
+    trace(label) {
+        return this.plotData[label].fullDataV.subarray(0, this.count);
+    }
+
+    /**
+     * Records the t=0 state. Must be called once before advance().
+     */
+    recordInitial() {
+        // --- RECORD T=0 STATE ---
+        // We do this manually before the loop to capture the perfect initial condition
+        // without solver artifacts.
+        this.timeBuffer[0] = 0.0;
+        const initialValues = this.probes.sampleInitial();
+        this.labels.forEach((label, idx) => {
+            // V_old/I_old hold the Initial voltages and currents, settled by
+            // the solver to a consistent t=0 state; sampleInitial() reads them.
+            const val = initialValues[idx];
+
+            const dataset = this.plotData[label];
+            dataset.fullDataV[0] = val;
+            dataset.x.push(0);
+            dataset.y.push(val);
+
+            this.prevValues[idx] = val;
+        });
+
+        this.count = 1;
+    }
+
+    /**
+     * Advances up to maxSteps solver steps. Returns true once the run is done.
+     */
+    advance(maxSteps) {
+        const solver = this.solver;
+        const stepper = this.stepper;
+        const datasets = this.datasets;
+        const prevValues = this.prevValues;
+        const nProbes = datasets.length;
+
+        for (let n = 0; n < maxSteps && !this.done; n++) {
+            const { time: t, dt } = stepper.next(solver.nextEventTime(stepper.time));
+
+            const eventCount = solver.events.length;
+            solver.step(t, dt);
+            stepper.observe(solver.mem, solver.events.length > eventCount);
+
+            const i = this.count;
+            if (i === this.timeBuffer.length) this.grow();
+            const tPrev = this.timeBuffer[i - 1];
+            this.timeBuffer[i] = t;
+
+            const rawValues = this.probes.sample(t, dt);
+            for (let idx = 0; idx < nProbes; idx++) {
+                const rawVal = rawValues[idx];
+
+                // Trapezoidal Averaging
+                datasets[idx].fullDataV[i] = 0.5 * (rawVal + prevValues[idx]);
+                prevValues[idx] = rawVal;
+            }
+
+            // Plot points falling in this step, interpolated onto the plot grid
+            for (; this.nextPlot * this.plotInterval <= t + 1e-6 * dt; this.nextPlot++) {
+                const tp = this.nextPlot * this.plotInterval;
+                const w = Math.min(1, (tp - tPrev) / dt);
+                for (let idx = 0; idx < nProbes; idx++) {
+                    const dataset = datasets[idx];
+                    const y0 = dataset.fullDataV[i - 1];
+                    dataset.x.push(tp);
+                    dataset.y.push(y0 + w * (dataset.fullDataV[i] - y0));
+                }
+            }
+
+            this.count = i + 1;
+
+            for (const c of this.stopConditions) {
+                const v = rawValues[c.index];
+                if ((c.op === '>') ? v > c.limit : v < c.limit) {
+                    this.stop(c, t, v);
+                    break;
+                }
+            }
+        }
+
+        return this.done;
+    }
+
+    /** Ends the run early on a STOP-IF condition. */
+    stop(condition, time, value) {
+        this.stopped = { label: condition.label, op: condition.op, limit: condition.limit, time: time, value: value };
+        this.solver.events.push({
+            type: 'STOPPED', node: -1, time: time,
+            msg: `Run stopped at ${time.toExponential(3)}s: ${condition.label} = ${value.toExponential(3)} ${condition.op} ${condition.limit}`
+        });
+    }
+
+    /**
+     * Plot points recorded since the last call, { label: { x, y } }, or
+     * null when there are none. Lets the caller stream traces during a run.
+     */
+    newPlotPoints() {
+        let points = null;
+        this.datasets.forEach((dataset, idx) => {
+            if (dataset.x.length === dataset.sent) return;
+            if (!points) points = {};
+            points[this.labels[idx]] = { x: dataset.x.slice(dataset.sent), y: dataset.y.slice(dataset.sent) };
+            dataset.sent = dataset.x.length;
+        });
+        return points;
+    }
+
+    /** Doubles the capacity of the recording buffers. */
+    grow() {
+        const enlarge = (buffer) => {
+            const larger = new Float64Array(2 * buffer.length);
+            larger.set(buffer);
+            return larger;
+        };
+        this.timeBuffer = enlarge(this.timeBuffer);
+        this.datasets.forEach(dataset => {
+            dataset.fullDataV = enlarge(dataset.fullDataV);
+        });
+    }
+
+    /**
+     * Serialisable snapshot of the run so far: solver, clock and probe
+     * state plus everything recorded. 'meta' ({ deck, parameters, seed })
+     * is stored alongside so the run can be compiled again on reload.
+     */
+    checkpoint(meta = {}) {
+        const traces = {};
+        const plots = {};
+        const prevValues = {};
+        this.labels.forEach((label, idx) => {
+            traces[label] = Array.from(this.trace(label));
+            plots[label] = { x: this.plotData[label].x.slice(), y: this.plotData[label].y.slice() };
+            prevValues[label] = this.prevValues[idx];
+        });
+
+        return {
+            format: CHECKPOINT_FORMAT,
+            version: CHECKPOINT_VERSION,
+            created: new Date().toISOString(),
+            deck: meta.deck,
+            parameters: meta.parameters,
+            seed: meta.seed,
+            time: this.stepper.time,
+            solver: this.solver.saveState(),
+            stepper: this.stepper.saveState(),
+            probes: this.probes.saveState(),
+            recording: {
+                count: this.count,
+                time: Array.from(this.time),
+                traces: traces,
+                plotInterval: this.plotInterval,
+                nextPlot: this.nextPlot,
+                plots: plots,
+                prevValues: prevValues
+            }
+        };
+    }
+
+    /**
+     * Continues from a checkpoint instead of recordInitial(). The deck may
+     * differ from the checkpointed one after some point (a new load, a later
+     * End-time): leading nodes of the same kind take the checkpointed state,
+     * the rest start from this deck's initial conditions. Probes new to this
+     * deck have no history before the checkpoint (NaN).
+     * Returns { time, nodes, newProbes }: nodes restored and probes not in
+     * the checkpoint.
+     */
+    restore(cp) {
+        if (!cp || cp.format !== CHECKPOINT_FORMAT) {
+            throw new Error('Not a WebScreamer checkpoint');
+        }
+        if (cp.version !== CHECKPOINT_VERSION) {
+            throw new Error(`Unsupported checkpoint version ${cp.version} (expected ${CHECKPOINT_VERSION})`);
+        }
+
+        const nodes = this.solver.loadState(cp.solver);
+        this.stepper.loadState(cp.stepper);
+
+        // Fresh values for every probe, then the checkpointed ones on top
+        const initial = this.probes.sampleInitial().slice();
+        const restored = new Set(this.probes.loadState(cp.probes));
+
+        const rec = cp.recording;
+        while (this.timeBuffer.length < rec.count + 1) this.grow();
+        this.timeBuffer.set(rec.time);
+        this.count = rec.count;
+
+        const newProbes = [];
+        this.labels.forEach((label, idx) => {
+            const dataset = this.plotData[label];
+            if (restored.has(label) && rec.traces[label]) {
+                // JSON turns NaN into null
+                dataset.fullDataV.set(rec.traces[label].map(v => (v === null) ? NaN : v));
+                dataset.x = rec.plots[label].x.slice();
+                dataset.y = rec.plots[label].y.slice();
+                this.prevValues[idx] = rec.prevValues[label];
+            } else {
+                dataset.fullDataV.fill(NaN, 0, this.count);
+                dataset.fullDataV[this.count - 1] = initial[idx];
+                dataset.x = [];
+                dataset.y = [];
+                this.prevValues[idx] = initial[idx];
+                newProbes.push(label);
+            }
+        });
+
+        this.nextPlot = (rec.plotInterval === this.plotInterval)
+            ? rec.nextPlot
+            : Math.floor(this.stepper.time / this.plotInterval + 1e-6) + 1;
+
+        return { time: this.stepper.time, nodes: nodes, newProbes: newProbes };
+    }
+
+    /**
+     * Returns and clears the solver events (e.g. self-breaking switch firings)
+     * raised since the last call.
+     */
+    drainEvents() {
+        const events = this.solver.events.slice();
+        this.solver.events.length = 0;
+        return events;
+    }
+
+    /** Down-sampled traces for plotting: { label: { x, y } }. */
+    plots() {
+        const plots = {};
+        this.labels.forEach(label => {
+            plots[label] = { x: this.plotData[label].x, y: this.plotData[label].y };
+        });
+        return plots;
+    }
+
+    /**
+     * Scalar metrics of each probe from the full-resolution record:
+     * the largest excursion (signed), when it occurred, and the final value.
+     */
+    summarize() {
+        const metrics = {};
+        this.labels.forEach(label => {
+            const data = this.trace(label);
+            let iPeak = 0;
+            for (let i = 1; i < data.length; i++) {
+                // NaN marks history a probe lacks (added after a checkpoint)
+                if (Math.abs(data[i]) > Math.abs(data[iPeak]) || isNaN(data[iPeak])) iPeak = i;
+            }
+            metrics[label] = {
+                peak: data[iPeak],
+                tPeak: this.timeBuffer[iPeak],
+                final: data[data.length - 1]
+            };
+        });
+        return metrics;
+    }
+
+    /**
+     * Energy ledger of the run so far, per block (named, or TYPE#n) plus the
+     * branch junction/connector nodes that belong to no block:
+     *   { blocks: [{ name, type, initial, final, dissipated, phantom, work, source }],
+     *     totals: { initial, final, dissipated, phantom, work, source, error, relativeError } }
+     * 'phantom' is the part of 'dissipated' lost in phantom nodes; 'source'
+     * is the energy delivered by driven sources. 'error' is
+     * initial + source - final - dissipated - work; it is the energy the
+     * integration scheme gained or lost.
+     */
+    energyLedger() {
+        const solver = this.solver;
+        const nodes = this.config.nodes;
+        const owner = new Int32Array(nodes.length).fill(-1);
+
+        const rows = this.config.blocks.map((block, k) => {
+            for (let i = block.startNode; i <= block.endNode; i++) owner[i] = k;
+            return { name: block.name || `${block.type}#${k + 1}`, type: block.type,
+                     initial: 0, final: 0, dissipated: 0, phantom: 0, work: 0, source: 0 };
+        });
+        const junctions = { name: '(junctions)', type: 'BRANCH',
+                            initial: 0, final: 0, dissipated: 0, phantom: 0, work: 0, source: 0 };
+
+        for (let i = 0; i < nodes.length; i++) {
+            const row = (owner[i] >= 0) ? rows[owner[i]] : junctions;
+            row.initial += solver.initialStored[i];
+            row.final += solver.storedEnergy(i);
+            row.dissipated += solver.dissipated[i];
+            row.work += solver.work[i];
+            row.source += solver.sourceEnergy[i];
+            if (nodes[i].isPhantom) row.phantom += solver.dissipated[i];
+        }
+        if (junctions.initial || junctions.dissipated || junctions.final) rows.push(junctions);
+
+        const totals = { initial: 0, final: 0, dissipated: 0, phantom: 0, work: 0, source: 0 };
+        rows.forEach(row => {
+            Object.keys(totals).forEach(key => { totals[key] += row[key]; });
+        });
+        totals.error = totals.initial + totals.source - totals.final - totals.dissipated - totals.work;
+        // Relative to all the energy put in, stored at t=0 or delivered since
+        const input = totals.initial + Math.max(0, totals.source);
+        totals.relativeError = (input > 0) ? totals.error / input : 0;
+
+        return { blocks: rows, totals: totals };
+    }
+}
+
+/**
+ * Human-readable ledger: one line per block, then the totals.
+ */
+export function formatLedger(ledger) {
+    const J = (v) => `${v.toExponential(3)} J`;
+    const lines = ledger.blocks.map(row => {
+        let line = `  ${row.name}: stored ${J(row.initial)} -> ${J(row.final)}, dissipated ${J(row.dissipated)}`;
+        if (row.phantom !== 0) line += ` (phantoms ${J(row.phantom)})`;
+        if (row.work !== 0) line += `, dL/dC work ${J(row.work)}`;
+        if (row.source !== 0) line += `, delivered ${J(row.source)}`;
+        return line;
+    });
+    const t = ledger.totals;
+    lines.unshift('Energy ledger:');
+    lines.push(`  Total: initial ${J(t.initial)}, final ${J(t.final)}, dissipated ${J(t.dissipated)} ` +
+               `(phantoms ${J(t.phantom)}), dL/dC work ${J(t.work)}` +
+               ((t.source !== 0) ? `, sources ${J(t.source)}` : ''));
+    lines.push(`  Conservation error: ${J(t.error)} (${(100 * t.relativeError).toFixed(3)}% of ${(t.source !== 0) ? 'input' : 'initial'})`);
+    return lines;
+}
+
+/** The ledger as CSV, one row per block plus a TOTAL row (J). */
+export function ledgerCsv(ledger) {
+    let csv = 'block,type,initial_J,final_J,dissipated_J,phantom_J,work_J,source_J\n';
+    const row = (name, type, r) => [name, type, r.initial, r.final, r.dissipated, r.phantom, r.work, r.source]
+        .map(v => (typeof v === 'number') ? v.toExponential(6) : v).join(',') + '\n';
+    ledger.blocks.forEach(r => { csv += row(r.name, r.type, r); });
+    csv += row('TOTAL', '', ledger.totals);
+    csv += `error,,${ledger.totals.error.toExponential(6)},,,,,\n`;
+    return csv;
+}
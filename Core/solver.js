@@ -5,6 +5,31 @@
 
 import { SimulationMemory } from './matrix.js';
 import { EType } from './topology.js';
+import { sourceValue, interpolate } from './waveform.js';
+
+// Spark-channel constants for the self-breaking switch laws
+const ROMPE_WEIZEL_A = 0.8;        // atm cm^2 / (V^2 s), air
+const BRAGINSKII_XI = 4.5;         // Braginskii's dimensionless constant
+const BRAGINSKII_SIGMA = 2.5e4;    // S/m, arc channel conductivity
+const AIR_DENSITY = 1.29;          // kg/m^3 at 1 atm
+
+const MU0 = 4e-7 * Math.PI;
+
+// Child-Langmuir law J = CHILD_LANGMUIR * V^1.5 / d^2: (4 eps0 / 9) sqrt(2 e / m_e)
+const CHILD_LANGMUIR = (4 * 8.8541878128e-12 / 9) * Math.sqrt(2 * 1.602176634e-19 / 9.1093837015e-31);
+// A closing diode gap stops closing at this fraction of its initial size
+const DIODE_MIN_GAP = 0.01;
+
+// Newton iteration on steps with nonlinear elements: relative change of the
+// nonlinear unknowns (with a 1 uV / 1 uA floor) accepted as converged, and
+// the most iterations tried per step
+const NEWTON_TOLERANCE = 1e-6;
+const NEWTON_FLOOR = 1e-6;
+const NEWTON_MAX_ITERATIONS = 30;
+
+// Length of the settling step that makes the initial state consistent,
+// as a fraction of dt
+const INITIAL_STEP = 1e-6;
 
 export class Solver {
     constructor(nodes, dt) {
@@ -12,116 +37,755 @@ export class Solver {
         this.dt = dt;
         this.mem = new SimulationMemory(nodes.length);
         this.THETA = 0.55; 
+
+        // Scratch vectors for the off-band (branch) correction
+        this.couplingBasis = [];
         
+        // Switch firings and other notable events, drained by the caller
+        this.events = [];
+
+        // Per-node energy accounts (J): R/G losses, and the work done by
+        // time-varying L and C (e.g. on an imploding pinch)
+        this.dissipated = new Float64Array(nodes.length);
+        this.work = new Float64Array(nodes.length);
+        // Energy delivered by driven sources (J)
+        this.sourceEnergy = new Float64Array(nodes.length);
+
         for(let i=0; i<nodes.length; i++) {
             if(nodes[i].initialV) {
                 this.mem.V_old[i] = nodes[i].initialV;
             }
+            if(nodes[i].initialI) {
+                this.mem.I_old[i] = nodes[i].initialI;
+            }
+            if(nodes[i].isSwitch) {
+                // The firing delay is state: a Monte Carlo draw of it must
+                // survive a checkpoint even if the deck is compiled again
+                nodes[i].switchState = { tBreak: null, tFire: null, fired: false, integral: 0,
+                                         tDelay: nodes[i].switchParams.tDelay };
+            }
+            if(nodes[i].isFuse) {
+                nodes[i].fuseState = { action: 0, energy: 0 };
+            }
+            if(nodes[i].isPinch) {
+                nodes[i].pinchState = { r: nodes[i].pinchParams.r0, v: 0, stagnated: false };
+            }
+        }
+
+        for(let i=0; i<nodes.length; i++) {
+            nodes[i].L_old = nodes[i].L;
+            nodes[i].C_old = nodes[i].C;
+        }
+
+        // Equation layout, fixed by the topology: the rows of each node's
+        // current and voltage equations, and where branch segments start/end
+        const N = nodes.length;
+        this.rowV = new Int32Array(N);
+        this.rowI = new Int32Array(N);
+        this.isConnector = new Uint8Array(N);
+        this.isSegmentEnd = new Uint8Array(N);
+        for (let i = 0; i < N; i++) {
+            const rc = nodes[i].type === EType.RC_GROUND;
+            this.rowV[i] = rc ? 2 * i + 1 : 2 * i;
+            this.rowI[i] = rc ? 2 * i : 2 * i + 1;
+            // Each branch segment is a contiguous run of nodes. A connector
+            // (node.junction set) starts a segment; the node before it ends one.
+            this.isConnector[i] = (nodes[i].junction !== undefined) ? 1 : 0;
+            this.isSegmentEnd[i] = (i === N - 1 || nodes[i+1].junction !== undefined) ? 1 : 0;
+        }
+
+        // Nodes whose R, L, G or C can change during the run, and the values
+        // they had when the matrix was last factored
+        this.timeVarying = [];
+        for (let i = 0; i < N; i++) {
+            const node = nodes[i];
+            if (node.isSwitch || node.isFuse || node.isPinch || node.tables) this.timeVarying.push(i);
+        }
+        this.factoredValues = new Float64Array(4 * this.timeVarying.length);
+
+        // Driven sources: a series EMF on RL_SERIES nodes, an injected
+        // current on RC_GROUND nodes. Only the right-hand side sees them.
+        // The value at the start and end of the current step is kept per node.
+        this.sources = [];
+        for (let i = 0; i < N; i++) {
+            if (!nodes[i].source) continue;
+            this.sources.push(i);
+            nodes[i].sourceOld = nodes[i].sourceNow = sourceValue(nodes[i].source, 0);
+        }
+        this.factoredDt = NaN;
+        this.factorizations = 0;
+
+        // Nonlinear elements (DIODE, NLOAD, SATL), solved by Newton
+        // iteration. Each is linearised about the latest iterate x:
+        // 'value' and 'slope' of its I(V) or flux(I) curve there, 'old' the
+        // value at the start of the step and 'offset' its constant
+        // right-hand side term (see linearizeNonlinear).
+        this.nonlinear = [];
+        for (let i = 0; i < N; i++) {
+            if (!nodes[i].isNonlinear) continue;
+            this.nonlinear.push(i);
+            nodes[i].nonlinearState = { x: 0, value: 0, slope: 0, old: 0, offset: 0, closed: false };
+        }
+        this.newtonWarned = false;
+
+        // Off-band couplings of the factored matrix, grouped by row, with
+        // Z = B^-1 e_row per row and the Woodbury matrix S = I + W^T Z
+        this.couplings = null;
+
+        this.settleInitialState();
+        this.linearizeNonlinear(this.mem.V_old, this.mem.I_old, 0);
+        this.initialStored = new Float64Array(N);
+        for (let i = 0; i < N; i++) {
+            this.initialStored[i] = this.storedEnergy(i);
         }
     }
 
-    step(time) {
+    /**
+     * Makes the Initial voltages and currents consistent with the circuit
+     * at t=0. Capacitor voltages and inductor currents are state and are
+     * kept; the rest (the voltage across a resistor carrying an initial
+     * current, the current a charged capacitor drives into its load) follow
+     * from them. One backward-Euler step of INITIAL_STEP * dt solves for
+     * those without moving the state, and becomes both the old and new
+     * solution, so the recorded t=0 row and the first step agree. With
+     * nonlinear elements that step is iterated like any other.
+     */
+    settleInitialState() {
         const N = this.mem.N_nodes;
+        const V_old = this.mem.V_old, I_old = this.mem.I_old;
+        let charged = false;
+        for (let i = 0; i < N && !charged; i++) {
+            charged = V_old[i] !== 0 || I_old[i] !== 0;
+        }
+        if (!charged) return;
+
+        const theta = this.THETA;
+        const dt = this.dt;
+        // The settle is not a time step; its factorisations are not counted
+        const factorizations = this.factorizations;
+        this.THETA = 1.0;
+        this.dt = INITIAL_STEP * dt;
+        if (this.nonlinear.length > 0) {
+            // The flux of a saturable inductor at its initial current is kept
+            this.linearizeNonlinear(V_old, I_old, 0);
+            this.iterateNonlinear(0);
+        } else {
+            this.mem.clearMatrix();
+            this.assembleMatrix();
+            this.factor();
+            this.assembleRhs();
+            this.solvePentadiagonal();
+            this.storeSolution();
+        }
+
+        V_old.set(this.mem.V_new);
+        I_old.set(this.mem.I_new);
+        this.THETA = theta;
+        this.dt = dt;
+        this.factorizations = factorizations;
+        this.invalidateFactors();
+    }
+
+    /**
+     * Advances the solution to 'time'. 'dt' is the length of this step;
+     * it may change from step to step (piecewise or adaptive time bases).
+     */
+    step(time, dt = this.dt) {
+        const N = this.mem.N_nodes;
+        this.dt = dt;
         
         // --- PHYSICS UPDATE ---
-        // Update variable elements before building matrix
-        for (let i = 0; i < N; i++) {
+        // Update variable elements before building matrix.
+        // L and C from the previous step are kept so the flux (L*I) and
+        // charge (C*V) terms stay conservative when they vary in time.
+        for (const i of this.timeVarying) {
             const node = this.nodes[i];
+            node.L_old = node.L;
+            node.C_old = node.C;
+
             if (node.isSwitch) {
-                const p = node.switchParams;
-                if (node.switchType === 'INSTANT') {
-                    node.R = (time < p.tSwitch) ? p.rOpen : p.rClose;
-                } else if (node.switchType === 'EXPONENTIAL') {
-                    if (time < p.tSwitch) {
-                        node.R = p.rOpen + p.rClose;
-                    } else {
-                        const tLocal = time - p.tSwitch;
-                        node.R = p.rOpen * Math.exp(-p.kDecay * tLocal) + p.rClose;
-                    }
-                }
+                this.updateSwitch(node, i, time);
+            }
+            else if (node.isFuse) {
+                this.updateFuse(node, i);
             }
+            else if (node.isPinch) {
+                this.updatePinch(node, i, time);
+            }
+            if (node.tables) {
+                this.updateTables(node, time);
+            }
+        }
+        for (const i of this.sources) {
+            const node = this.nodes[i];
+            node.sourceOld = node.sourceNow;
+            node.sourceNow = sourceValue(node.source, time);
         }
 
         // --- MATRIX POPULATION ---
-        this.mem.clearMatrix();
+        // The matrix only depends on dt and the element values, so between
+        // switch transitions (and other changes) the cached factors are
+        // reused and only the right-hand side is rebuilt.
+        if (this.nonlinear.length > 0) {
+            this.iterateNonlinear(time);
+        } else {
+            if (this.matrixChanged()) {
+                this.mem.clearMatrix();
+                this.assembleMatrix();
+                this.factor();
+            }
+            this.assembleRhs();
+            this.solvePentadiagonal();
+            this.storeSolution();
+        }
+        this.accountEnergy();
+        this.mem.swapTimeSteps();
+    }
 
-        const diag = this.mem.diag;
-        const upper1 = this.mem.upper1;
-        const lower1 = this.mem.lower1;
-        const upper2 = this.mem.upper2;
-        const lower2 = this.mem.lower2;
-        const rhs = this.mem.b_vector;
+    /**
+     * Copies the solved vector into V_new / I_new.
+     */
+    storeSolution() {
+        const x = this.mem.b_vector;
+        const V_new = this.mem.V_new, I_new = this.mem.I_new;
+        for (let i = 0; i < this.mem.N_nodes; i++) {
+            V_new[i] = x[2*i];
+            I_new[i] = x[2*i+1];
+        }
+    }
 
-        const theta = this.THETA;
-        const one_minus_theta = 1.0 - theta;
+    /**
+     * Solves a step with nonlinear elements by Newton iteration. Starting
+     * from the previous step's solution, each element is linearised about
+     * the latest iterate and the step solved again (the matrix changes with
+     * every linearisation) until the nonlinear unknowns stop moving.
+     */
+    iterateNonlinear(time) {
+        for (const i of this.nonlinear) {
+            const st = this.nodes[i].nonlinearState;
+            st.old = st.value;
+        }
+        this.linearizeNonlinear(this.mem.V_old, this.mem.I_old, time);
 
-        for (let i = 0; i < N; i++) {
+        for (let iteration = 1; ; iteration++) {
+            this.mem.clearMatrix();
+            this.assembleMatrix();
+            this.factor();
+            this.assembleRhs();
+            this.solvePentadiagonal();
+            this.storeSolution();
+            if (this.linearizeNonlinear(this.mem.V_new, this.mem.I_new, time)) break;
+
+            if (iteration === NEWTON_MAX_ITERATIONS) {
+                if (!this.newtonWarned) {
+                    this.newtonWarned = true;
+                    this.events.push({
+                        type: 'NEWTON', time: time,
+                        msg: `Nonlinear elements did not converge in ${NEWTON_MAX_ITERATIONS} iterations at ${time.toExponential(3)}s; try a smaller time step`
+                    });
+                }
+                break;
+            }
+        }
+        // The cached factors belong to the last linearisation
+        this.invalidateFactors();
+    }
+
+    /**
+     * Linearises every nonlinear element about the solution (V, I) at
+     * 'time': I(V) = value + slope * (V - x) for the shunt loads,
+     * flux(I) = value + slope * (I - x) for a saturable inductor.
+     * Returns true when no element's unknown moved by more than
+     * NEWTON_TOLERANCE since the previous linearisation.
+     */
+    linearizeNonlinear(V, I, time) {
+        const theta = this.THETA;
+        let converged = true;
+        for (const i of this.nonlinear) {
             const node = this.nodes[i];
-            
-            let rV, rI;
-            if (node.type === EType.RC_GROUND) {
-                rV = 2 * i + 1; 
-                rI = 2 * i;     
-            } else {
-                rV = 2 * i;     
-                rI = 2 * i + 1; 
+            const st = node.nonlinearState;
+            const series = node.type === EType.RL_SERIES;
+            const x = series ? I[i] : V[i];
+            if (Math.abs(x - st.x) > NEWTON_TOLERANCE * Math.abs(x) + NEWTON_FLOOR) converged = false;
+            st.x = x;
+            this.evaluateNonlinear(node, i, x, time);
+            // Shunt: theta*I(V) + (1-theta)*I_old in the KCL row.
+            // Series: (flux - flux_old)/dt in the voltage row.
+            st.offset = series
+                ? (st.value - st.slope * x - st.old) / this.dt
+                : theta * (st.value - st.slope * x) + (1 - theta) * st.old;
+        }
+        return converged;
+    }
+
+    /**
+     * Sets node.nonlinearState.value and .slope at x (V for the shunt loads,
+     * I for a saturable inductor). The NLOAD and SATL curves are odd in x;
+     * a diode conducts for positive V only.
+     */
+    evaluateNonlinear(node, i, x, time) {
+        const p = node.nonlinearParams;
+        const st = node.nonlinearState;
+        const a = Math.abs(x);
+        const sign = (x < 0) ? -1 : 1;
+
+        if (node.nonlinearType === 'DIODE') {
+            // Space-charge-limited flow across a planar gap closing at 'velocity'
+            let gap = p.gap - p.velocity * time;
+            if (gap <= DIODE_MIN_GAP * p.gap) {
+                gap = DIODE_MIN_GAP * p.gap;
+                if (!st.closed) {
+                    st.closed = true;
+                    this.events.push({
+                        type: 'DIODE_CLOSED', node: i, time: time,
+                        msg: `Diode at node ${i} closed to ${(DIODE_MIN_GAP * 100)}% of its gap at ${time.toExponential(3)}s`
+                    });
+                }
+            }
+            // Electrons only leave the cathode: reversed, the gap holds off
+            // and only the leak conducts
+            const v = Math.max(x, 0);
+            const perveance = CHILD_LANGMUIR * p.area / (gap * gap);
+            st.value = perveance * v * Math.sqrt(v);
+            st.slope = 1.5 * perveance * Math.sqrt(v);
+        }
+        else if (node.nonlinearType === 'NLOAD') {
+            st.value = sign * p.k * Math.pow(a, p.n);
+            // At V = 0 the slope is 0 for n > 1 and unbounded for n < 1;
+            // there k is as good a first chord as any
+            st.slope = (a > 0) ? p.n * p.k * Math.pow(a, p.n - 1) : (p.n > 1 ? 0 : p.k);
+        }
+        else {
+            const flux = saturationCurve(p, a);
+            st.value = sign * flux.value;
+            st.slope = flux.slope;
+        }
+    }
+
+    /**
+     * True when dt or any time-varying element has changed since the matrix
+     * was last factored (always true for the first step). Records the new
+     * values as the factored ones.
+     */
+    matrixChanged() {
+        let changed = this.dt !== this.factoredDt;
+        this.factoredDt = this.dt;
+        const saved = this.factoredValues;
+        for (let k = 0; k < this.timeVarying.length; k++) {
+            const node = this.nodes[this.timeVarying[k]];
+            const o = 4 * k;
+            if (saved[o] !== node.R || saved[o+1] !== node.L || saved[o+2] !== node.G || saved[o+3] !== node.C) {
+                saved[o] = node.R;
+                saved[o+1] = node.L;
+                saved[o+2] = node.G;
+                saved[o+3] = node.C;
+                changed = true;
             }
+        }
+        return changed;
+    }
 
-            const AV = theta * node.G + node.C / this.dt;
-            const AI = theta * node.R + node.L / this.dt;
+    /**
+     * Forces a refactorisation on the next step, e.g. after element values
+     * were changed from outside the solver.
+     */
+    invalidateFactors() {
+        this.factoredDt = NaN;
+    }
 
-            const v_old = this.mem.V_old[i];
-            const i_old = this.mem.I_old[i];
-            const i_prev_old = (i > 0) ? this.mem.I_old[i-1] : 0;
-            const v_next_old = (i < N-1) ? this.mem.V_old[i+1] : 0;
+    /**
+     * Fills the (cleared) matrix for the current dt and element values.
+     */
+    assembleMatrix() {
+        const N = this.mem.N_nodes;
+        const theta = this.THETA;
 
-            // Current Equation
-            this.setMatrixVal(rI, 2*i, AV); 
-            this.setMatrixVal(rI, 2*i+1, theta);
-            if (i > 0) this.setMatrixVal(rI, 2*i-1, -theta);
+        for (let i = 0; i < N; i++) {
+            const node = this.nodes[i];
+            const rV = this.rowV[i];
+            const rI = this.rowI[i];
 
-            const BV = one_minus_theta*(i_prev_old - i_old) + (node.C/this.dt - one_minus_theta*node.G)*v_old;
-            rhs[rI] = BV;
+            // Current Equation
+            if (this.isConnector[i]) {
+                // Tie the connector to its junction and take its current out
+                // of the junction's KCL. Both land outside the band unless the
+                // connector sits right after its junction.
+                const j = node.junction;
+                this.setMatrixVal(rI, 2*i, 1.0);
+                this.setMatrixVal(rI, 2*j, -1.0);
+                this.setMatrixVal(this.rowI[j], 2*i+1, theta);
+            } else {
+                let shunt = theta * node.G + node.C / this.dt;
+                if (node.isNonlinear && node.type === EType.RC_GROUND) shunt += theta * node.nonlinearState.slope;
+                this.setMatrixVal(rI, 2*i, shunt);
+                this.setMatrixVal(rI, 2*i+1, theta);
+                if (i > 0) this.setMatrixVal(rI, 2*i-1, -theta);
+            }
 
             // Voltage Equation
-            if (i === N - 1) {
+            if (this.isSegmentEnd[i]) {
                 this.setMatrixVal(rV, 2*i+1, 1.0);
-                rhs[rV] = 0.0;
             } else {
+                let series = theta * node.R + node.L / this.dt;
+                if (node.isNonlinear && node.type === EType.RL_SERIES) series += node.nonlinearState.slope / this.dt;
                 this.setMatrixVal(rV, 2*i, theta);
-                this.setMatrixVal(rV, 2*i+1, -AI);
+                this.setMatrixVal(rV, 2*i+1, -series);
                 this.setMatrixVal(rV, 2*i+2, -theta);
+                // Mutual flux M*I_j of coupled inductors; the other inductor
+                // is always at least one block away, so off the band
+                if (node.mutual) {
+                    for (const m of node.mutual) this.setMatrixVal(rV, 2*m.node+1, -m.M / this.dt);
+                }
+            }
+        }
+    }
+
+    /**
+     * Builds the right-hand side from the previous solution.
+     */
+    assembleRhs() {
+        const N = this.mem.N_nodes;
+        const rhs = this.mem.b_vector;
+        const V_old = this.mem.V_old;
+        const I_old = this.mem.I_old;
+        const dt = this.dt;
+        const one_minus_theta = 1.0 - this.THETA;
+        const nodes = this.nodes;
+        const rowI = this.rowI, rowV = this.rowV;
+        const isConnector = this.isConnector, isSegmentEnd = this.isSegmentEnd;
+
+        for (let i = 0; i < N; i++) {
+            const node = nodes[i];
+            const i_old = I_old[i];
+            const v_old = V_old[i];
+
+            // Current Equation
+            if (isConnector[i]) {
+                rhs[rowI[i]] = 0.0;
+                // Junction rows come first, so their BV is already in place
+                rhs[rowI[node.junction]] -= one_minus_theta * i_old;
+            } else {
+                const i_prev_old = (i > 0) ? I_old[i-1] : 0;
+                rhs[rowI[i]] = one_minus_theta*(i_prev_old - i_old) + (node.C_old/dt - one_minus_theta*node.G)*v_old;
+            }
+
+            // Voltage Equation
+            if (isSegmentEnd[i]) {
+                rhs[rowV[i]] = 0.0;
+            } else {
+                // d(LI)/dt = (L*I - L_old*I_old)/dt carries the I*dL/dt voltage
+                const v_next_old = V_old[i+1];
+                rhs[rowV[i]] = one_minus_theta*(v_next_old - v_old) - (node.L_old/dt - one_minus_theta*node.R)*i_old;
+                if (node.mutual) {
+                    for (const m of node.mutual) rhs[rowV[i]] -= m.M / dt * I_old[m.node];
+                }
+            }
+        }
 
-                const BI = one_minus_theta*(v_next_old - v_old) - (node.L/this.dt - one_minus_theta*node.R)*i_old;
-                rhs[rV] = BI;
+        // Sources enter theta-weighted, like the element terms:
+        //   V_i - V_i+1 + E = R*I + d(LI)/dt  and  C*dV/dt + G*V = I_i-1 - I_i + J
+        for (const i of this.sources) {
+            const node = nodes[i];
+            const s = this.THETA * node.sourceNow + one_minus_theta * node.sourceOld;
+            if (node.type === EType.RL_SERIES) {
+                if (!isSegmentEnd[i]) rhs[rowV[i]] -= s;
+            } else {
+                rhs[rowI[i]] += s;
             }
         }
 
-        this.solvePentadiagonal();
+        // Nonlinear elements, linearised about the latest Newton iterate
+        for (const i of this.nonlinear) {
+            const node = nodes[i];
+            if (node.type === EType.RL_SERIES) {
+                if (!isSegmentEnd[i]) rhs[rowV[i]] += node.nonlinearState.offset;
+            } else {
+                rhs[rowI[i]] -= node.nonlinearState.offset;
+            }
+        }
+    }
 
-        for(let i=0; i<N; i++) {
-            this.mem.V_new[i] = rhs[2*i];
-            this.mem.I_new[i] = rhs[2*i+1];
+    /**
+     * Adds this step's losses and L/C work to the per-node accounts.
+     * Called after the solve, before the swap (V_new is the fresh solution).
+     *
+     * The step's energy balance is the discrete one: stored energy changes by
+     * C*dV*V_mid and L*dI*I_mid, so losses are G*V_theta*V_mid and
+     * R*I_theta*I_mid, and a change of L or C does work 0.5*dL*I_new*I_old
+     * (0.5*dC*V_new*V_old). With theta > 0.5 the coupling terms do not cancel
+     * exactly; what is left over is the scheme's numerical damping, which
+     * shows up as the ledger's conservation error.
+     */
+    accountEnergy() {
+        const theta = this.THETA;
+        const dt = this.dt;
+        const V0 = this.mem.V_old, V1 = this.mem.V_new;
+        const I0 = this.mem.I_old, I1 = this.mem.I_new;
+        for (let i = 0; i < this.mem.N_nodes; i++) {
+            const node = this.nodes[i];
+            const vTheta = theta * V1[i] + (1 - theta) * V0[i];
+            const iTheta = theta * I1[i] + (1 - theta) * I0[i];
+            const vMid = 0.5 * (V1[i] + V0[i]);
+            const iMid = 0.5 * (I1[i] + I0[i]);
+            this.dissipated[i] += dt * (node.G * vTheta * vMid + node.R * iTheta * iMid);
+            this.work[i] += 0.5 * (node.L - node.L_old) * I1[i] * I0[i]
+                          + 0.5 * (node.C - node.C_old) * V1[i] * V0[i];
+        }
+        // A source does E_theta*I_mid (or J_theta*V_mid) of work on the circuit
+        for (const i of this.sources) {
+            const node = this.nodes[i];
+            const s = theta * node.sourceNow + (1 - theta) * node.sourceOld;
+            const across = (node.type === EType.RL_SERIES) ? 0.5 * (I1[i] + I0[i]) : 0.5 * (V1[i] + V0[i]);
+            this.sourceEnergy[i] += dt * s * across;
+        }
+        // A nonlinear load absorbs I_theta*V_mid (a saturable inductor
+        // stores its energy instead; see storedEnergy)
+        for (const i of this.nonlinear) {
+            const node = this.nodes[i];
+            if (node.type === EType.RL_SERIES) continue;
+            const st = node.nonlinearState;
+            this.dissipated[i] += dt * (theta * st.value + (1 - theta) * st.old) * 0.5 * (V1[i] + V0[i]);
         }
-        this.mem.swapTimeSteps();
     }
 
+    /**
+     * Energy held in node i's C and L at the latest solved state. Each of two
+     * coupled inductors holds half of their mutual energy M*I_i*I_j.
+     */
+    storedEnergy(i) {
+        const node = this.nodes[i];
+        const v = this.mem.V_old[i];
+        const cur = this.mem.I_old[i];
+        let stored = 0.5 * node.C * v * v + 0.5 * node.L * cur * cur;
+        if (node.mutual) {
+            for (const m of node.mutual) stored += 0.5 * m.M * cur * this.mem.I_old[m.node];
+        }
+        if (node.nonlinearType === 'SATL') {
+            stored += saturationCurve(node.nonlinearParams, Math.abs(cur)).energy;
+        }
+        return stored;
+    }
+
+    /**
+     * Earliest known switching time after 'time': the trigger time of a
+     * timed switch, the firing time of a self-breaking switch that has
+     * broken down, or a corner of a source waveform. Infinity when none
+     * is pending.
+     */
+    nextEventTime(time) {
+        let next = Infinity;
+        for (const i of this.timeVarying) {
+            const node = this.nodes[i];
+            if (!node.isSwitch) continue;
+            let t = null;
+            if (node.switchType === 'INSTANT' || node.switchType === 'EXPONENTIAL') {
+                t = node.switchParams.tSwitch;
+            } else if (!node.switchState.fired) {
+                t = node.switchState.tFire;
+            }
+            if (t !== null && t > time && t < next) next = t;
+        }
+        for (const i of this.sources) {
+            for (const t of this.nodes[i].source.breaks) {
+                if (t > time && t < next) next = t;
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Sets the switch resistance for the step ending at 'time'.
+     * Timed switches depend on time only; self-breaking switches watch the
+     * voltage across themselves and, once fired, follow their arc law.
+     */
+    updateSwitch(node, i, time) {
+        const p = node.switchParams;
+        if (node.switchType === 'INSTANT') {
+            node.R = (time < p.tSwitch) ? p.rOpen : p.rClose;
+            return;
+        }
+        if (node.switchType === 'EXPONENTIAL') {
+            if (time < p.tSwitch) {
+                node.R = p.rOpen + p.rClose;
+            } else {
+                const tLocal = time - p.tSwitch;
+                node.R = p.rOpen * Math.exp(-p.kDecay * tLocal) + p.rClose;
+            }
+            return;
+        }
+
+        const st = node.switchState;
+        if (st.tBreak === null) {
+            const isSegmentEnd = (i === this.mem.N_nodes - 1) || this.nodes[i+1].junction !== undefined;
+            const vAcross = this.mem.V_old[i] - (isSegmentEnd ? 0 : this.mem.V_old[i+1]);
+            if (Math.abs(vAcross) >= p.vBreak) {
+                st.tBreak = time - this.dt;
+                st.tFire = st.tBreak + st.tDelay;
+            }
+        }
+
+        if (st.tFire === null || time < st.tFire) {
+            node.R = p.rOpen;
+            return;
+        }
+
+        if (!st.fired) {
+            st.fired = true;
+            this.events.push({
+                type: 'SWITCH_FIRED', node: i, time: time,
+                msg: `Switch at node ${i} broke down at ${st.tBreak.toExponential(3)}s, fired at ${time.toExponential(3)}s`
+            });
+        }
+
+        const iOld = this.mem.I_old[i];
+        if (node.switchType === 'VOLTAGE') {
+            node.R = p.rClose;
+        }
+        else if (node.switchType === 'ROMPE-WEIZEL') {
+            // R = d / sqrt((2a/p) * integral(I^2 dt)), d in cm
+            st.integral += iOld * iOld * this.dt;
+            const denom = Math.sqrt((2 * ROMPE_WEIZEL_A / p.pressure) * st.integral);
+            const rArc = (denom > 0) ? (p.gap * 100) / denom : Infinity;
+            node.R = Math.min(p.rOpen, rArc + p.rClose);
+        }
+        else if (node.switchType === 'BRAGINSKII') {
+            // Channel area a^2 = (4 / (pi^2 xi rho sigma))^(1/3) * integral(|I|^(2/3) dt)
+            st.integral += Math.pow(Math.abs(iOld), 2 / 3) * this.dt;
+            const rho = AIR_DENSITY * p.pressure;
+            const k = Math.cbrt(4 / (Math.PI * Math.PI * BRAGINSKII_XI * rho * BRAGINSKII_SIGMA));
+            const area = Math.PI * k * st.integral;
+            const rArc = (area > 0) ? p.gap / (BRAGINSKII_SIGMA * area) : Infinity;
+            node.R = Math.min(p.rOpen, rArc + p.rClose);
+        }
+    }
+
+    /**
+     * Advances the fuse state with the last solved current and sets its
+     * resistance from the resistivity curve.
+     */
+    updateFuse(node, i) {
+        const p = node.fuseParams;
+        const st = node.fuseState;
+        const iOld = this.mem.I_old[i];
+
+        const j = iOld / p.area;
+        st.action += j * j * this.dt;
+        st.energy += iOld * iOld * node.R * this.dt;
+
+        let rho;
+        if (node.fuseType === 'ACTION') {
+            rho = interpolateLog(p.table, st.action);
+        }
+        else if (node.fuseType === 'ENERGY') {
+            rho = interpolateLog(p.table, st.energy / p.mass);
+        }
+        else {
+            // BURST: linear heating up to g_burst, then exponential vaporisation
+            if (st.action < p.gBurst) {
+                rho = p.rho0 + (p.rhoBurst - p.rho0) * (st.action / p.gBurst);
+            } else {
+                rho = Math.min(p.rhoMax, p.rhoBurst * Math.exp((st.action - p.gBurst) / p.gWidth));
+            }
+        }
+
+        node.R = rho * p.length / p.area;
+    }
+
+    /**
+     * 0-D thin-shell z-pinch. The shell is pushed inward by the J x B
+     * pressure of the last solved current,
+     *   m d2r/dt2 = -mu0 * l * I^2 / (4 * pi * r),
+     * and stagnates at r_final. The load inductance follows the radius,
+     *   L = (mu0 * l / 2pi) * ln(r_return / r),
+     * and the flux-conserving KVL supplies the I*dL/dt term.
+     */
+    updatePinch(node, i, time) {
+        const p = node.pinchParams;
+        const st = node.pinchState;
+
+        if (!st.stagnated) {
+            const iOld = this.mem.I_old[i];
+            const accel = -MU0 * p.length * iOld * iOld / (4 * Math.PI * p.mass * st.r);
+            st.v += accel * this.dt;
+            st.r += st.v * this.dt;
+
+            if (st.r <= p.rFinal) {
+                st.r = p.rFinal;
+                st.v = 0;
+                st.stagnated = true;
+                this.events.push({
+                    type: 'PINCH_STAGNATED', node: i, time: time,
+                    msg: `Z-pinch at node ${i} stagnated at ${time.toExponential(3)}s`
+                });
+            }
+        }
+
+        node.L = (MU0 * p.length / (2 * Math.PI)) * Math.log(p.rReturn / st.r);
+    }
+
+    /**
+     * Interpolates table-driven R/L/G/C values at 'time'.
+     * RCGround tables hold resistance, so G takes the reciprocal.
+     */
+    updateTables(node, time) {
+        for (const entry of node.tables) {
+            const v = interpolate(entry.table, time);
+            if (entry.reciprocal) {
+                node[entry.field] = (v === 0) ? 1e9 : 1.0 / v;
+            } else {
+                node[entry.field] = v;
+            }
+        }
+    }
+
+    /**
+     * Writes A(row, col). Entries inside the five-diagonal band go to the
+     * banded storage; anything further out (branch couplings) is queued in
+     * sparseElements and folded in by applyCouplings().
+     */
     setMatrixVal(row, col, val) {
         if (col === row) this.mem.diag[row] = val;
         else if (col === row + 1) this.mem.upper1[row] = val;
         else if (col === row - 1) this.mem.lower1[row] = val;
         else if (col === row + 2) this.mem.upper2[row] = val;
         else if (col === row - 2) this.mem.lower2[row] = val;
+        else this.mem.sparseElements.push({ row: row, col: col, val: val });
+    }
+
+    /**
+     * Factors the freshly assembled matrix: LU of the band, plus the
+     * Woodbury terms for any off-band couplings.
+     */
+    factor() {
+        this.factorBand();
+        this.factorizations++;
+        this.couplings = (this.mem.sparseElements.length > 0) ? this.prepareCouplings() : null;
     }
 
+    /**
+     * Solves A x = b in place in b_vector, with the factors from factor().
+     * A is the banded matrix plus any sparse off-band couplings.
+     */
     solvePentadiagonal() {
+        this.solveBand(this.mem.b_vector);
+
+        if (this.couplings) {
+            this.applyCouplings(this.mem.b_vector);
+        }
+    }
+
+    /**
+     * In-place LU factorisation of the band (no pivoting).
+     * The elimination multipliers overwrite lower1/lower2 so the factors
+     * can be reused for several right-hand sides.
+     */
+    factorBand() {
         const n = this.mem.matrixSize;
         const d = this.mem.diag;
         const u1 = this.mem.upper1;
         const l1 = this.mem.lower1;
         const u2 = this.mem.upper2;
         const l2 = this.mem.lower2;
-        const b = this.mem.b_vector;
 
         for (let i = 0; i < n - 1; i++) {
             if (Math.abs(d[i]) < 1e-25) d[i] = 1e-25;
@@ -130,18 +794,35 @@ export class Solver {
                 const f = l1[i+1] / d[i];
                 d[i+1] -= f * u1[i];
                 u1[i+1] -= f * u2[i]; 
-                b[i+1] -= f * b[i];
+                l1[i+1] = f;
             }
 
             if (i < n - 2 && l2[i+2] !== 0) {
                 const f = l2[i+2] / d[i];
                 l1[i+2] -= f * u1[i]; 
                 d[i+2] -= f * u2[i];
-                b[i+2] -= f * b[i];
+                l2[i+2] = f;
             }
         }
 
         if (Math.abs(d[n-1]) < 1e-25) d[n-1] = 1e-25;
+    }
+
+    /**
+     * Forward/back substitution against the factors from factorBand().
+     */
+    solveBand(b) {
+        const n = this.mem.matrixSize;
+        const d = this.mem.diag;
+        const u1 = this.mem.upper1;
+        const l1 = this.mem.lower1;
+        const u2 = this.mem.upper2;
+        const l2 = this.mem.lower2;
+
+        for (let i = 0; i < n - 1; i++) {
+            b[i+1] -= l1[i+1] * b[i];
+            if (i < n - 2) b[i+2] -= l2[i+2] * b[i];
+        }
 
         b[n-1] /= d[n-1];
         b[n-2] = (b[n-2] - u1[n-2]*b[n-1]) / d[n-2];
@@ -151,8 +832,248 @@ export class Solver {
         }
     }
 
+    /**
+     * Sets up the Woodbury correction for the off-band entries of the
+     * factored matrix. Entries are grouped by row so each coupled row costs
+     * one extra band solve, once per factorisation: A = B + sum_m e_r(m) w_m^T.
+     */
+    prepareCouplings() {
+        const n = this.mem.matrixSize;
+        const rows = [];
+        const rowIndex = new Map();
+        for (const e of this.mem.sparseElements) {
+            let m = rowIndex.get(e.row);
+            if (m === undefined) {
+                m = rows.length;
+                rowIndex.set(e.row, m);
+                rows.push({ row: e.row, entries: [] });
+            }
+            rows[m].entries.push(e);
+        }
+
+        const k = rows.length;
+        while (this.couplingBasis.length < k) {
+            this.couplingBasis.push(new Float64Array(n));
+        }
+
+        // Z_m = B^-1 e_r(m)
+        for (let m = 0; m < k; m++) {
+            const z = this.couplingBasis[m];
+            z.fill(0);
+            z[rows[m].row] = 1.0;
+            this.solveBand(z);
+        }
+
+        // Capacitance matrix S = I + W^T Z
+        const S = [];
+        for (let m = 0; m < k; m++) {
+            const row = new Float64Array(k);
+            row[m] = 1.0;
+            for (const e of rows[m].entries) {
+                for (let l = 0; l < k; l++) {
+                    row[l] += e.val * this.couplingBasis[l][e.col];
+                }
+            }
+            S.push(row);
+        }
+        return { rows: rows, S: S };
+    }
+
+    /**
+     * Corrects the band solution x = B^-1 b for the off-band entries using the
+     * Woodbury identity, with the terms from prepareCouplings().
+     */
+    applyCouplings(x) {
+        const n = this.mem.matrixSize;
+        const { rows, S } = this.couplings;
+        const k = rows.length;
+
+        // g = W^T x
+        const g = new Float64Array(k);
+        for (let m = 0; m < k; m++) {
+            for (const e of rows[m].entries) {
+                g[m] += e.val * x[e.col];
+            }
+        }
+
+        // solveDense overwrites its matrix, so it gets a copy of S
+        const a = solveDense(S.map(row => row.slice()), g);
+        for (let l = 0; l < k; l++) {
+            const z = this.couplingBasis[l];
+            for (let i = 0; i < n; i++) {
+                x[i] -= a[l] * z[i];
+            }
+        }
+    }
+
+    /**
+     * Snapshot of the dynamic state for a checkpoint, as plain arrays and
+     * objects: both solution buffers, the values and internal state of the
+     * time-varying elements, and the energy accounts.
+     */
+    saveState() {
+        const mem = this.mem;
+        return {
+            signature: this.nodes.map(nodeSignature),
+            V: Array.from(mem.V_old),
+            I: Array.from(mem.I_old),
+            V_prev: Array.from(mem.V_new),
+            I_prev: Array.from(mem.I_new),
+            elements: this.timeVarying.map(i => {
+                const node = this.nodes[i];
+                return {
+                    node: i,
+                    R: node.R, L: node.L, G: node.G, C: node.C,
+                    L_old: node.L_old, C_old: node.C_old,
+                    switchState: node.switchState ? { ...node.switchState } : undefined,
+                    fuseState: node.fuseState ? { ...node.fuseState } : undefined,
+                    pinchState: node.pinchState ? { ...node.pinchState } : undefined
+                };
+            }),
+            sources: this.sources.map(i => ({ node: i, value: this.nodes[i].sourceNow })),
+            nonlinear: this.nonlinear.map(i => ({ node: i, state: { ...this.nodes[i].nonlinearState } })),
+            dissipated: Array.from(this.dissipated),
+            work: Array.from(this.work),
+            sourceEnergy: Array.from(this.sourceEnergy),
+            initialStored: Array.from(this.initialStored)
+        };
+    }
+
+    /**
+     * Restores a saveState() snapshot. The snapshot may come from a deck
+     * with a different tail: state is restored on the leading nodes whose
+     * kind matches, and the rest keep this deck's initial conditions.
+     * Returns the number of nodes restored.
+     */
+    loadState(state) {
+        const mem = this.mem;
+        const limit = Math.min(this.nodes.length, state.signature.length);
+        let n = 0;
+        while (n < limit && nodeSignature(this.nodes[n]) === state.signature[n]) n++;
+
+        for (let i = 0; i < n; i++) {
+            mem.V_old[i] = state.V[i];
+            mem.I_old[i] = state.I[i];
+            mem.V_new[i] = state.V_prev[i];
+            mem.I_new[i] = state.I_prev[i];
+            this.dissipated[i] = state.dissipated[i];
+            this.work[i] = state.work[i];
+            if (state.sourceEnergy) this.sourceEnergy[i] = state.sourceEnergy[i];
+            this.initialStored[i] = state.initialStored[i];
+        }
+        for (const e of state.elements) {
+            if (e.node >= n) continue;
+            const node = this.nodes[e.node];
+            node.R = e.R; node.L = e.L; node.G = e.G; node.C = e.C;
+            node.L_old = e.L_old; node.C_old = e.C_old;
+            if (e.switchState) Object.assign(node.switchState, e.switchState);
+            if (e.fuseState) Object.assign(node.fuseState, e.fuseState);
+            if (e.pinchState) Object.assign(node.pinchState, e.pinchState);
+        }
+        // The step after the checkpoint starts from the source value at that time
+        for (const src of state.sources || []) {
+            if (src.node < n && this.nodes[src.node].source) this.nodes[src.node].sourceNow = src.value;
+        }
+        for (const e of state.nonlinear || []) {
+            if (e.node < n) Object.assign(this.nodes[e.node].nonlinearState, e.state);
+        }
+
+        this.invalidateFactors();
+        return n;
+    }
+
     getValue(nodeIndex, type) {
         if (type === 'voltage') return this.mem.V_new[nodeIndex];
         return this.mem.I_new[nodeIndex];
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Kind of a node, for matching checkpointed state to a (possibly edited)
+ * deck: its equation type, junction and switch/fuse/pinch model.
+ */
+function nodeSignature(node) {
+    const model = node.switchType || node.fuseType || node.nonlinearType ||
+                  (node.isPinch ? 'PINCH' : '') || (node.source ? 'SOURCE' : '');
+    return `${node.type}:${node.junction === undefined ? '' : node.junction}:${model}`;
+}
+
+/**
+ * Flux linkage of a saturable inductor at current i >= 0: { value, slope,
+ * energy } with slope the differential inductance and energy the stored
+ * i*flux - integral(flux di). The curve is either
+ *   flux = L_sat*i + (L_unsat - L_sat)*I_sat*tanh(i/I_sat)
+ * or a piecewise-linear { x: currents, y: fluxes } table from (0, 0),
+ * continued past its last point with the last slope.
+ */
+function saturationCurve(p, i) {
+    if (!p.table) {
+        const u = i / p.iSat;
+        const th = Math.tanh(u);
+        // log(cosh(u)), written to stay finite for large u
+        const logCosh = u + Math.log1p(Math.exp(-2 * u)) - Math.LN2;
+        const value = p.lSat * i + (p.lUnsat - p.lSat) * p.iSat * th;
+        const integral = 0.5 * p.lSat * i * i + (p.lUnsat - p.lSat) * p.iSat * p.iSat * logCosh;
+        return { value: value, slope: p.lSat + (p.lUnsat - p.lSat) * (1 - th * th), energy: i * value - integral };
+    }
+
+    const xs = p.table.x;
+    const ys = p.table.y;
+    let integral = 0;
+    let k = 1;
+    for (; k < xs.length - 1 && xs[k] < i; k++) {
+        integral += 0.5 * (ys[k] + ys[k-1]) * (xs[k] - xs[k-1]);
+    }
+    const slope = (ys[k] - ys[k-1]) / (xs[k] - xs[k-1]);
+    const value = ys[k-1] + slope * (i - xs[k-1]);
+    integral += 0.5 * (value + ys[k-1]) * (i - xs[k-1]);
+    return { value: value, slope: slope, energy: i * value - integral };
+}
+
+/**
+ * Piecewise interpolation of a {x, y} table, linear in x and logarithmic in y
+ * (resistivity spans decades). Clamps to the end values outside the table.
+ */
+function interpolateLog(table, x) {
+    const xs = table.x;
+    const ys = table.y;
+    if (x <= xs[0]) return ys[0];
+    const last = xs.length - 1;
+    if (x >= xs[last]) return ys[last];
+
+    let k = 1;
+    while (xs[k] < x) k++;
+    const f = (x - xs[k-1]) / (xs[k] - xs[k-1]);
+    return ys[k-1] * Math.pow(ys[k] / ys[k-1], f);
+}
+
+/**
+ * Gaussian elimination with partial pivoting for the small dense
+ * coupling system. Overwrites A and b; returns the solution in b.
+ */
+function solveDense(A, b) {
+    const k = b.length;
+    for (let c = 0; c < k; c++) {
+        let p = c;
+        for (let r = c + 1; r < k; r++) {
+            if (Math.abs(A[r][c]) > Math.abs(A[p][c])) p = r;
+        }
+        if (p !== c) {
+            const tmpRow = A[p]; A[p] = A[c]; A[c] = tmpRow;
+            const tmpB = b[p]; b[p] = b[c]; b[c] = tmpB;
+        }
+        if (Math.abs(A[c][c]) < 1e-300) A[c][c] = 1e-300;
+        for (let r = c + 1; r < k; r++) {
+            const f = A[r][c] / A[c][c];
+            if (f === 0) continue;
+            for (let j = c; j < k; j++) A[r][j] -= f * A[c][j];
+            b[r] -= f * b[c];
+        }
+    }
+    for (let c = k - 1; c >= 0; c--) {
+        let sum = b[c];
+        for (let j = c + 1; j < k; j++) sum -= A[c][j] * b[j];
+        b[c] = sum / A[c][c];
+    }
+    return b;
+}
@@ -0,0 +1,67 @@
+/**
+ * statistics.js
+ * Ensemble statistics for Monte Carlo results: summary figures of a
+ * sample and pointwise envelopes of a set of traces.
+ */
+
+/**
+ * Percentile p (0-100) of an ascending-sorted array, interpolating
+ * linearly between neighbouring samples.
+ */
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return NaN;
+    const pos = (sorted.length - 1) * p / 100;
+    const lo = Math.floor(pos);
+    const hi = Math.min(lo + 1, sorted.length - 1);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Mean, sample standard deviation, extremes and 5/50/95th percentiles.
+ */
+export function describe(values) {
+    const n = values.length;
+    const sorted = Float64Array.from(values).sort();
+    let sum = 0;
+    for (let k = 0; k < n; k++) sum += sorted[k];
+    const mean = sum / n;
+    let sq = 0;
+    for (let k = 0; k < n; k++) sq += (sorted[k] - mean) * (sorted[k] - mean);
+    return {
+        n: n,
+        mean: mean,
+        std: (n > 1) ? Math.sqrt(sq / (n - 1)) : 0,
+        min: sorted[0],
+        p5: percentile(sorted, 5),
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        max: sorted[n - 1]
+    };
+}
+
+/**
+ * Pointwise statistics of several traces sampled on the same time base.
+ * Traces are truncated to the shortest one.
+ * Returns { mean, std, p5, p50, p95 } arrays.
+ */
+export function envelope(traces) {
+    const len = Math.min(...traces.map(t => t.length));
+    const out = {
+        mean: new Float64Array(len),
+        std: new Float64Array(len),
+        p5: new Float64Array(len),
+        p50: new Float64Array(len),
+        p95: new Float64Array(len)
+    };
+    const column = new Float64Array(traces.length);
+    for (let i = 0; i < len; i++) {
+        for (let k = 0; k < traces.length; k++) column[k] = traces[k][i];
+        const d = describe(column);
+        out.mean[i] = d.mean;
+        out.std[i] = d.std;
+        out.p5[i] = d.p5;
+        out.p50[i] = d.p50;
+        out.p95[i] = d.p95;
+    }
+    return out;
+}
@@ -0,0 +1,183 @@
+/**
+ * timestep.js
+ * Time base of a run: a piecewise-constant dt schedule (Time-step ... FROM),
+ * optionally refined adaptively around switch events and steep changes in
+ * the solution (ADAPTIVE-STEP).
+ */
+
+// Largest step-to-step growth of dt in adaptive mode
+const GROWTH = 2.0;
+// Fraction of the tolerance aimed for when sizing the next step
+const SAFETY = 0.9;
+
+/**
+ * One-line description of a time base for the run log, e.g.
+ * "1.00e-9s, 1.00e-10s from 5.00e-7s (adaptive down to 1.00e-11s, tol 0.01)".
+ */
+export function describeTimeBase(schedule, adaptive) {
+    let text = schedule.map((s, k) =>
+        (k === 0) ? `${s.dt.toExponential(2)}s` : `${s.dt.toExponential(2)}s from ${s.from.toExponential(2)}s`
+    ).join(', ');
+    if (adaptive) text += ` (adaptive down to ${adaptive.dtMin.toExponential(2)}s, tol ${adaptive.tolerance})`;
+    return text;
+}
+
+export class TimeStepper {
+    /**
+     * schedule: [{ from, dt }] sorted by 'from', the first entry from 0.
+     * adaptive: null, or { dtMin, tolerance } where tolerance is the largest
+     * change per step of any voltage or current, relative to the largest
+     * magnitude that quantity has reached so far.
+     */
+    constructor(schedule, t_end, adaptive = null) {
+        this.schedule = schedule;
+        this.t_end = t_end;
+        this.adaptive = adaptive;
+
+        this.segment = 0;
+        // Uniform stepping counts from the segment start so times stay exact
+        this.origin = 0;
+        this.count = 0;
+
+        this.time = 0;
+        this.dt = schedule[0].dt;
+
+        // Adaptive mode: next step size and running magnitude scales
+        this.nextDt = adaptive ? adaptive.dtMin : schedule[0].dt;
+        this.vScale = 0;
+        this.iScale = 0;
+    }
+
+    get done() {
+        return this.time >= this.t_end - 1e-6 * this.dt;
+    }
+
+    /** Scheduled dt at the current time. */
+    get scheduledDt() {
+        return this.schedule[this.segment].dt;
+    }
+
+    /**
+     * Picks the next step and advances the clock.
+     * 'eventTime' is the next known switching time (see Solver.nextEventTime).
+     * Adaptive steps land dt_min short of it and then step onto it, since
+     * the step ending at the event already sees the switched state.
+     * Returns { time, dt } for the step.
+     */
+    next(eventTime = Infinity) {
+        const boundary = (this.segment + 1 < this.schedule.length) ? this.schedule[this.segment + 1].from : Infinity;
+        const dtSched = this.scheduledDt;
+        let t;
+        // Reported dt: exactly the nominal step unless the step gets cut
+        // short, so the solver sees an unchanged dt and keeps its factors
+        let dt;
+
+        if (!this.adaptive) {
+            t = this.origin + (this.count + 1) * dtSched;
+            dt = dtSched;
+            this.count++;
+        } else {
+            const dtMin = this.adaptive.dtMin;
+            dt = Math.min(this.nextDt, dtSched);
+            let target = eventTime - dtMin;
+            if (target <= this.time + 1e-6 * dtMin) target = eventTime;
+            const limit = Math.min(target, this.t_end);
+            if (this.time + dt > limit - 1e-6 * dt) {
+                dt = limit - this.time;
+                // Resolve whatever the switch does next with the finest step
+                if (limit === target) this.nextDt = dtMin;
+            }
+            t = this.time + dt;
+        }
+
+        // Land on the start of the next schedule segment rather than step over it
+        if (t > boundary - 1e-6 * dtSched) {
+            t = boundary;
+            dt = t - this.time;
+            this.segment++;
+            this.origin = boundary;
+            this.count = 0;
+        }
+
+        this.dt = dt;
+        this.time = t;
+        return { time: t, dt: this.dt };
+    }
+
+    /** Snapshot of the clock for a checkpoint. */
+    saveState() {
+        return {
+            schedule: this.schedule.map(s => ({ from: s.from, dt: s.dt })),
+            segment: this.segment, origin: this.origin, count: this.count,
+            time: this.time, dt: this.dt, nextDt: this.nextDt,
+            vScale: this.vScale, iScale: this.iScale
+        };
+    }
+
+    /**
+     * Restores a saveState() snapshot. With a different schedule (an edited
+     * deck) uniform stepping restarts from the checkpoint time, in whichever
+     * segment contains it.
+     */
+    loadState(state) {
+        this.time = state.time;
+        this.dt = state.dt;
+        this.vScale = state.vScale;
+        this.iScale = state.iScale;
+        this.nextDt = this.adaptive ? Math.max(this.adaptive.dtMin, state.nextDt) : this.scheduledDt;
+
+        const same = state.schedule.length === this.schedule.length &&
+            state.schedule.every((s, k) => s.from === this.schedule[k].from && s.dt === this.schedule[k].dt);
+        if (same) {
+            this.segment = state.segment;
+            this.origin = state.origin;
+            this.count = state.count;
+        } else {
+            this.segment = 0;
+            while (this.segment + 1 < this.schedule.length &&
+                   this.schedule[this.segment + 1].from <= this.time + 1e-6 * this.dt) {
+                this.segment++;
+            }
+            this.origin = this.time;
+            this.count = 0;
+        }
+    }
+
+    /**
+     * Adaptive mode: sizes the following step from how much the solution
+     * moved in the step just taken. 'event' forces the minimum step (a switch
+     * fired or broke down).
+     */
+    observe(mem, event) {
+        if (!this.adaptive) return;
+        const { dtMin, tolerance } = this.adaptive;
+
+        let dvMax = 0, diMax = 0;
+        const N = mem.N_nodes;
+        // After the solver's swap, *_old holds the new solution
+        for (let i = 0; i < N; i++) {
+            const v = Math.abs(mem.V_old[i]);
+            const cur = Math.abs(mem.I_old[i]);
+            if (v > this.vScale) this.vScale = v;
+            if (cur > this.iScale) this.iScale = cur;
+            const dv = Math.abs(mem.V_old[i] - mem.V_new[i]);
+            const di = Math.abs(mem.I_old[i] - mem.I_new[i]);
+            if (dv > dvMax) dvMax = dv;
+            if (di > diMax) diMax = di;
+        }
+        const change = Math.max(
+            this.vScale > 0 ? dvMax / this.vScale : 0,
+            this.iScale > 0 ? diMax / this.iScale : 0
+        );
+
+        if (event) {
+            this.nextDt = dtMin;
+            return;
+        }
+        const factor = (change > 0) ? Math.min(GROWTH, SAFETY * tolerance / change) : GROWTH;
+        // Steps come in powers of two times dt_min, so runs of equal steps
+        // reuse the solver's factorisation
+        const levels = Math.floor(Math.log2(Math.max(1, this.dt * factor / dtMin)) + 1e-9);
+        this.nextDt = dtMin * Math.pow(2, levels);
+    }
+}
@@ -3,6 +3,59 @@
  * Update: Added support for 'SWITCH Instant' command.
  */
 
+import { compileExpression, FUNCTION_NAMES } from './expression.js';
+import { doubleExponentialNorm, interpolate } from './waveform.js';
+
+// Plain decimal / scientific notation, e.g. 5, -0.1, 1e-9, .5E+3
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+const PARAMETER_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const MAX_SWEEP_RUNS = 1000;
+const MAX_MONTE_CARLO_RUNS = 10000;
+
+// Separates a nominal value from its tolerance: 0.1±5% or 0.1+/-5%
+const TOLERANCE_PATTERN = /±|\+\/-/;
+
+// Scalar metrics recorded for every probe of a run (see worker.js summarize)
+const RUN_METRICS = ['PEAK', 'TPEAK', 'FINAL'];
+
+// TXT quantity keywords and the probe type each records:
+//   TXT <label> <quantity> [NAME]
+const PROBE_QUANTITIES = {
+    VOLTAGE: 'voltage', CURRENT: 'current', POWER: 'power', ENERGY: 'energy',
+    DISSIPATED: 'dissipated', STORED: 'stored', CHARGE: 'charge', DVDT: 'dvdt', DIDT: 'didt'
+};
+
+// Deck keywords a DEFINE may not take as its name: exact names, and the
+// prefixes the element and timing keywords are matched by
+const KEYWORDS = new Set(['SWEEP', 'MONTECARLO', 'TABLE', 'BRANCH', 'ENDBRANCH', 'END',
+                          'VSOURCE', 'ISOURCE', 'DEFINE', 'ENDDEFINE', 'MARX', 'MUTUAL']);
+const KEYWORD_PREFIXES = ['PARAM', 'RCG', 'RLS', 'SWITCH', 'FUSE', 'ZPINCH', 'DIODE', 'NLOAD', 'SATL',
+                          'TRL', 'INITIAL', 'TXT'];
+
+// Subcircuits calling subcircuits deeper than this are taken to recurse
+const MAX_DEFINE_DEPTH = 16;
+
+// A parameter name in a subcircuit line: not part of a number (1e-9, 100n),
+// a NAME.POS reference or an option key
+const DEFINE_IDENTIFIER = /(?<![\w.])[A-Za-z_]\w*(?![\w=])/g;
+const EXPRESSION_OPERATOR = /[-+*/^(),]/;
+
+// Parameters of one MARX gap that add up over the n gaps of the erected
+// column, by position after the SWITCH type: resistances, the breakdown
+// voltage and the gap length
+const MARX_SERIES_PARAMETERS = {
+    'INSTANT': [0, 1],
+    'EXPONENTIAL': [0, 1],
+    'VOLTAGE': [0, 1, 2],
+    'ROMPE-WEIZEL': [0, 1, 2, 3],
+    'BRAGINSKII': [0, 1, 2, 3]
+};
+
+// Leakage of the erected MARX capacitor (ohms)
+const MARX_LEAKAGE = 1e12;
+
 export const EType = {
     RC_GROUND: 0,
     RL_SERIES: 1,
@@ -17,55 +70,411 @@ export class CircuitCompiler {
         this.outputRequests = [];
         this.dt = 1e-9;
         this.t_end = 100e-9;
+        // Piecewise time base: [{ from, dt, line }]; 'dt' is the step from t=0
+        this.schedule = [];
+        this.adaptive = null;
+        // STOP-IF conditions: [{ label, op, limit, line }]
+        this.stopConditions = [];
         this.globalResolution = 1e-9; 
         this.trLineResolution = null; 
         this.blocks = []; 
+        this.blockNames = {};
+        this.tables = {};
+        this.parameters = {};
+        this.diagnostics = [];
+        this.random = Math.random;
+
+        // Monte Carlo runs set this to draw toleranced values from this.random;
+        // otherwise every toleranced value compiles to its nominal.
+        this.sampleTolerances = false;
+
+        // Distribution functions usable in any numeric field
+        this.distributions = {
+            gauss: (mean, sigma) => this.sampleTolerances ? mean + sigma * this.gaussian() : mean,
+            uniform: (lo, hi) => this.sampleTolerances ? lo + (hi - lo) * this.random() : 0.5 * (lo + hi)
+        };
+
+        // Line number and token columns of the line being compiled
+        this.cursor = { line: 0, columns: [], optionColumns: {}, endColumn: 1 };
     }
 
-    compile(scriptText) {
+    /**
+     * Compiles a deck. 'overrides' maps upper-case parameter names to values
+     * that replace the deck's own PARAMETER values (used by sweeps).
+     */
+    compile(scriptText, overrides = {}) {
         this.nodes = [];
         this.outputRequests = [];
         this.blocks = [];
+        this.blockNames = {};
+        this.tables = {};
+        this.parameters = {};
+        this.macros = {};
+        this.sweep = null;
+        this.monteCarlo = null;
+        this.diagnostics = [];
         
         const usedLabels = new Set();
         const lines = scriptText.split('\n');
         let nodeId = 0; 
 
-        for (let line of lines) {
-            line = line.trim();
+        // Junction node indices of the side branches currently open.
+        const branchStack = [];
+
+        // Named table being filled line by line (TABLE name ... END TABLE)
+        let openTable = null;
+        let tableLine = 0;
+
+        // Line of the End-time statement, for the End-time < Time-step check
+        let endTimeLine = 0;
+
+        // Line of the SWEEP statement, for the undeclared-parameter check
+        let sweepLine = 0;
+
+        // Line of the MONTECARLO statement, for the histogram label check
+        let monteCarloLine = 0;
+
+        // Subcircuit being recorded (DEFINE name (params) ... END DEFINE)
+        let openDefine = null;
+
+        // Lines still to compile: { text, line, via, depth, origin }. A
+        // subcircuit call or MARX is replaced by its lines, spliced in right
+        // after it; 'via' names the call in their diagnostics and 'origin'
+        // is the deck line the expansion started from.
+        const queue = lines.map((text, k) => ({ text: text, line: k + 1, via: null, depth: 0, origin: k + 1 }));
+
+        for (let q = 0; q < queue.length; q++) {
+            const rawLine = queue[q].text;
+            const lineNo = queue[q].line;
+            const line = rawLine.trim();
             if (!line || line.startsWith('!')) continue; 
 
-            const parts = line.split(/\s+/);
+            const { parts, options } = this.tokenizeLine(rawLine, lineNo);
+            this.cursor.via = queue[q].via;
             const cmd = parts[0].toUpperCase();
 
+            if (openTable) {
+                if (cmd === 'ENDTABLE' || (cmd === 'END' && parts[1] && parts[1].toUpperCase() === 'TABLE')) {
+                    openTable = null;
+                } else {
+                    this.readPairs(parts, 0, openTable);
+                }
+                continue;
+            }
+
+            if (openDefine) {
+                if (cmd === 'ENDDEFINE' || (cmd === 'END' && parts[1] && parts[1].toUpperCase() === 'DEFINE')) {
+                    openDefine = null;
+                } else if (cmd === 'DEFINE') {
+                    this.report('error', 'DEFINE cannot be nested inside another DEFINE', 0);
+                } else {
+                    openDefine.body.push({ text: rawLine, line: lineNo });
+                }
+                continue;
+            }
+
+            if (this.macros[cmd]) {
+                const body = this.expandMacro(this.macros[cmd], parts, options, queue[q]);
+                if (body) queue.splice(q + 1, 0, ...body);
+                continue;
+            }
+
             const currentBlockStart = nodeId;
             let currentBlockType = null;
 
+            // Set when a directive in the first chain below consumes the line
+            let handled = true;
+
+            // --- TIME-STEP ---
+            //   TIME-STEP <dt> [FROM <t>]
+            // Without FROM, sets the step from t=0. Each FROM starts a new
+            // step size at <t>, e.g. a coarse step through a long charge and
+            // a fine one from switch closure on.
             if (cmd.startsWith('TIME-STEP')) {
-                this.dt = parseFloat(parts[1]);
+                const dt = this.readNumber(parts, 1, 'time step', { positive: true });
+                let from = 0;
+                if (parts[2] !== undefined) {
+                    if (parts[2].toUpperCase() !== 'FROM') {
+                        this.report('error', `Expected FROM, got '${parts[2]}'`, 2);
+                        continue;
+                    }
+                    from = this.readNumber(parts, 3, 'schedule start time');
+                }
+                if (from === 0) this.dt = dt;
+                else this.schedule.push({ from: from, dt: dt, line: lineNo });
+            }
+
+            // --- ADAPTIVE-STEP ---
+            //   ADAPTIVE-STEP <dt_min> [TOL=<rel>]
+            // Lets the step shrink to <dt_min> around switch events and where
+            // any voltage or current changes by more than TOL (relative to
+            // its peak so far) per step; the scheduled step is the ceiling.
+            else if (cmd.startsWith('ADAPTIVE-STEP')) {
+                const dtMin = this.readNumber(parts, 1, 'minimum time step', { positive: true });
+                const tolerance = this.readOption(options, 'TOL', 'tolerance', 0.01);
+                if (!(tolerance > 0 && tolerance < 1)) {
+                    this.report('error', 'TOL must be between 0 and 1', 'TOL');
+                }
+                this.adaptive = { dtMin: dtMin, tolerance: tolerance, line: lineNo };
+            }
+
+            // --- STOP-IF ---
+            //   STOP-IF <probe label> > <limit>   (or <)
+            // Ends the run early, keeping what was recorded, once the probe
+            // crosses the limit. The label may be defined later in the deck.
+            else if (cmd === 'STOP-IF') {
+                if (parts.length < 2) {
+                    this.report('error', 'STOP-IF needs a probe label', 1);
+                    continue;
+                }
+                const op = parts[2];
+                if (op !== '>' && op !== '<') {
+                    this.report('error', `STOP-IF expects > or < after the label, got '${op || ''}'`, 2);
+                    continue;
+                }
+                const limit = this.readNumber(parts, 3, 'stop limit', { allowNegative: true });
+                this.stopConditions.push({ label: parts[1], op: op, limit: limit, line: lineNo });
             }
             else if (cmd.startsWith('END-TIME')) {
-                this.t_end = parseFloat(parts[1]);
+                this.t_end = this.readNumber(parts, 1, 'end time', { positive: true });
+                endTimeLine = lineNo;
             }
             else if (cmd.startsWith('RESOLUTION-TIME')) {
-                this.globalResolution = parseFloat(parts[1]);
+                this.globalResolution = this.readNumber(parts, 1, 'resolution time', { positive: true });
             }
             else if (cmd.startsWith('TRLINE-RESOLUTION')) {
-                this.trLineResolution = parseFloat(parts[1]);
+                this.trLineResolution = this.readNumber(parts, 1, 'TRLine resolution', { positive: true });
+            }
+
+            // --- PARAMETER ---
+            //   PARAMETER <name> <value>
+            // The value may use earlier parameters; names are case-insensitive
+            // and usable in any numeric field that follows.
+            else if (cmd.startsWith('PARAM')) {
+                if (parts.length < 2 || !PARAMETER_NAME.test(parts[1])) {
+                    this.report('error', 'PARAMETER needs a name (letters, digits and _)', 1);
+                    continue;
+                }
+                const lower = parts[1].toLowerCase();
+                if (FUNCTION_NAMES.has(lower) || this.distributions[lower] || parts[1] === 't') {
+                    this.report('error', `'${parts[1]}' is reserved and cannot be a parameter name`, 1);
+                    continue;
+                }
+                const key = parts[1].toUpperCase();
+                const value = this.readNumber(parts, 2, `parameter ${parts[1]}`, { allowNegative: true });
+                this.parameters[key] = (overrides[key] !== undefined) ? overrides[key] : value;
+            }
+
+            // --- SWEEP ---
+            //   SWEEP <parameter> <start> <stop> <count>
+            //   SWEEP <parameter> LIST <v1> <v2> ...
+            // Reruns the deck once per value; the parameter must be declared
+            // with PARAMETER somewhere in the deck.
+            else if (cmd === 'SWEEP') {
+                if (this.sweep) {
+                    this.report('error', 'Only one SWEEP is allowed per deck', 0);
+                    continue;
+                }
+                if (parts.length < 2 || !PARAMETER_NAME.test(parts[1])) {
+                    this.report('error', 'SWEEP needs a parameter name', 1);
+                    continue;
+                }
+                const values = [];
+                if (parts[2] && parts[2].toUpperCase() === 'LIST') {
+                    for (let k = 3; k < parts.length; k++) {
+                        values.push(this.readNumber(parts, k, 'sweep value', { allowNegative: true }));
+                    }
+                    if (values.length === 0) this.report('error', 'SWEEP LIST needs at least one value', 2);
+                } else {
+                    const start = this.readNumber(parts, 2, 'sweep start', { allowNegative: true });
+                    const stop = this.readNumber(parts, 3, 'sweep stop', { allowNegative: true });
+                    const count = this.readNumber(parts, 4, 'sweep count', { positive: true });
+                    if (!Number.isInteger(count) || count > MAX_SWEEP_RUNS) {
+                        this.report('error', `Sweep count must be a whole number from 1 to ${MAX_SWEEP_RUNS}`, 4);
+                    } else {
+                        for (let k = 0; k < count; k++) {
+                            values.push(count === 1 ? start : start + (stop - start) * k / (count - 1));
+                        }
+                    }
+                }
+                this.sweep = { parameter: parts[1], values: values };
+                sweepLine = lineNo;
+            }
+
+            // --- MONTECARLO ---
+            //   MONTECARLO <runs> [SEED=<n>] [HISTOGRAM=<label>.<metric>,...]
+            // Repeats the deck with toleranced values and switch jitter drawn
+            // from a seeded generator. <metric> is PEAK, TPEAK or FINAL.
+            else if (cmd === 'MONTECARLO' || cmd === 'MONTE-CARLO') {
+                if (this.monteCarlo) {
+                    this.report('error', 'Only one MONTECARLO is allowed per deck', 0);
+                    continue;
+                }
+                const runs = this.readNumber(parts, 1, 'run count', { positive: true });
+                if (!Number.isInteger(runs) || runs > MAX_MONTE_CARLO_RUNS) {
+                    this.report('error', `Run count must be a whole number from 1 to ${MAX_MONTE_CARLO_RUNS}`, 1);
+                }
+                let seed = null;
+                if (options.SEED !== undefined) {
+                    seed = this.readOption(options, 'SEED', 'seed', 0);
+                    if (!Number.isInteger(seed)) this.report('error', 'SEED must be a whole number', 'SEED');
+                }
+                const histograms = [];
+                if (options.HISTOGRAM !== undefined) {
+                    for (const item of options.HISTOGRAM.split(',')) {
+                        const dot = item.lastIndexOf('.');
+                        const metric = (dot > 0) ? item.slice(dot + 1).toUpperCase() : '';
+                        if (!RUN_METRICS.includes(metric)) {
+                            this.report('error', `Histogram '${item}' must be <label>.PEAK, .TPEAK or .FINAL`, 'HISTOGRAM');
+                            continue;
+                        }
+                        histograms.push({ label: item.slice(0, dot), metric: metric });
+                    }
+                }
+                this.monteCarlo = { runs: runs, seed: seed, histograms: histograms };
+                monteCarloLine = lineNo;
+            }
+
+            // --- TABLE ---
+            // Named time/value history for table-driven elements.
+            //   TABLE <name> <t1> <v1> <t2> <v2> ...
+            // or, with no pairs on the line, one or more pairs per line until END TABLE.
+            else if (cmd === 'TABLE') {
+                if (parts.length < 2) {
+                    this.report('error', 'TABLE needs a name', 1);
+                    continue;
+                }
+                const table = { x: [], y: [] };
+                this.tables[parts[1].toUpperCase()] = table;
+                if (parts.length > 2) {
+                    this.readPairs(parts, 2, table);
+                } else {
+                    openTable = table;
+                    tableLine = lineNo;
+                }
+            }
+
+            // --- DEFINE ---
+            //   DEFINE <name> (<param>, <param>, ...)
+            //   ...deck lines...
+            //   END DEFINE
+            // A subcircuit. Later, '<name> <arg> <arg> ...' (or <param>=<arg>)
+            // compiles its lines in place of the call, each parameter replaced
+            // by its argument, so it builds the same blocks as those lines
+            // written out. Pass block names as parameters to call it twice.
+            else if (cmd === 'DEFINE') {
+                openDefine = { name: parts[1] || '', params: [], body: [], line: lineNo };
+                if (!parts[1] || !PARAMETER_NAME.test(parts[1])) {
+                    this.report('error', 'DEFINE needs a name (letters, digits and _)', 1);
+                    continue;
+                }
+                const key = parts[1].toUpperCase();
+                if (KEYWORDS.has(key) || KEYWORD_PREFIXES.some(prefix => key.startsWith(prefix))) {
+                    this.report('error', `'${parts[1]}' is a deck keyword and cannot be a DEFINE name`, 1);
+                    continue;
+                }
+                if (this.macros[key]) {
+                    this.report('error', `Duplicate DEFINE: ${parts[1]}`, 1);
+                    continue;
+                }
+                const params = parts.slice(2).join(' ').replace(/[()]/g, ' ').split(/[\s,]+/).filter(Boolean);
+                const bad = params.find((p, k) => !PARAMETER_NAME.test(p) ||
+                    params.findIndex(other => other.toUpperCase() === p.toUpperCase()) !== k);
+                if (bad !== undefined) {
+                    this.report('error', `DEFINE parameter '${bad}' must be a distinct name (letters, digits and _)`, 2);
+                    continue;
+                }
+                openDefine.params = params;
+                this.macros[key] = openDefine;
+            }
+
+            // --- MARX ---
+            //   MARX <stages> <C_stage> <V_charge> <L_stage> <R_stage> <switch type> <switch parameters...>
+            // An erected Marx generator as its equivalent chain: the stage
+            // capacitors in series (C/n charged to n*V), n times the stage L
+            // and R, and the n gaps as one SWITCH. The switch parameters are
+            // those of one gap, as for SWITCH; see MARX_SERIES_PARAMETERS for
+            // the ones that add up over the column. With NAME=<name> the
+            // blocks are <name> (capacitor), <name>_L and <name>_SW.
+            else if (cmd === 'MARX') {
+                const stages = this.readNumber(parts, 1, 'stage count', { positive: true });
+                if (!Number.isInteger(stages)) {
+                    this.report('error', 'Stage count must be a whole number', 1);
+                    continue;
+                }
+                const C = this.readNumber(parts, 2, 'stage capacitance', { positive: true });
+                const V = this.readNumber(parts, 3, 'charge voltage', { allowNegative: true });
+                const L = this.readNumber(parts, 4, 'stage inductance');
+                const R = this.readNumber(parts, 5, 'stage resistance');
+                const series = MARX_SERIES_PARAMETERS[(parts[6] || '').toUpperCase()];
+                if (!series) {
+                    this.report('error', parts[6] ? `Unknown SWITCH type: ${parts[6]}` : 'Missing SWITCH type', 6);
+                    continue;
+                }
+                const gap = parts.slice(7).map((token, k) => series.includes(k)
+                    ? String(stages * this.readNumber(parts, 7 + k, 'gap parameter'))
+                    : token);
+
+                const name = options.NAME;
+                const named = (suffix) => (name !== undefined) ? ` NAME=${name}${suffix}` : '';
+                const erected = [
+                    `RCGround ${MARX_LEAKAGE} ${C / stages}${named('')}`,
+                    `Initial ${(name !== undefined) ? name : 'VMARX'} ${stages * V}`,
+                    `RLSeries ${stages * R} ${stages * L}${named('_L')}`,
+                    `SWITCH ${parts[6]} ${gap.join(' ')}${named('_SW')}`
+                ];
+                queue.splice(q + 1, 0, ...erected.map(text => ({
+                    text: text, line: lineNo, via: queue[q].via, depth: queue[q].depth + 1, origin: queue[q].origin
+                })));
+            }
+
+            // --- BRANCH / END BRANCH ---
+            // The first BRANCH just opens the main line. A BRANCH after elements
+            // have been placed hangs a side branch off the node at the current
+            // end of the active branch; END BRANCH resumes the parent from that
+            // same node.
+            else if (cmd === 'BRANCH') {
+                if (nodeId > 0) {
+                    const tail = this.nodes[nodeId - 1];
+                    const junction = nodeId;
+                    this.nodes.push({
+                        id: nodeId++, type: EType.RC_GROUND,
+                        R: 0, L: 0, G: 0, C: 0, isPhantom: true,
+                        initialV: tail.initialV
+                    });
+                    branchStack.push(junction);
+                    this.pushConnector(nodeId++, junction);
+                }
+            }
+            else if (cmd === 'ENDBRANCH' || (cmd === 'END' && parts[1] && parts[1].toUpperCase() === 'BRANCH')) {
+                if (branchStack.length > 0) {
+                    this.pushConnector(nodeId++, branchStack.pop());
+                } else {
+                    this.report('warning', 'END BRANCH without an open side branch', 0);
+                }
             }
 
             // RCGround
+            // R and C may each be a TABLE:<name> reference, or 'TABLE t1 R1 t2 R2 ...'
+            // gives an inline resistance history (C = 0).
             else if (cmd.startsWith('RCG')) {
                 currentBlockType = 'RCG';
-                const R = parseFloat(parts[1]);
-                const C = parts.length > 2 ? parseFloat(parts[2]) : 0.0;
+                const f = this.readFields(parts, ['R', 'C']);
+                const R = f.values.R;
+                const C = f.values.C !== undefined ? f.values.C : 0.0;
                 
                 const G = (R === 0) ? 1e9 : 1.0/R;
 
-                this.nodes.push({
+                const node = {
                     id: nodeId++, type: EType.RC_GROUND,
                     R: 0, L: 0, G: G, C: C, isPhantom: false
-                });
+                };
+                if (f.tables.R || f.tables.C) {
+                    node.tables = [];
+                    if (f.tables.R) node.tables.push({ field: 'G', table: f.tables.R, reciprocal: true });
+                    if (f.tables.C) node.tables.push({ field: 'C', table: f.tables.C });
+                }
+                this.nodes.push(node);
                 
                 this.nodes.push({
                     id: nodeId++, type: EType.RL_SERIES,
@@ -74,43 +483,82 @@ export class CircuitCompiler {
             }
 
             // RLSeries
+            // R and L may each be a TABLE:<name> reference, or 'TABLE t1 R1 t2 R2 ...'
+            // gives an inline resistance history (L = 0).
             else if (cmd.startsWith('RLS')) {
                 currentBlockType = 'RLS';
-                const R = parseFloat(parts[1]);
-                const L = parts.length > 2 ? parseFloat(parts[2]) : 0.0;
+                const f = this.readFields(parts, ['R', 'L']);
+                const R = f.values.R;
+                const L = f.values.L !== undefined ? f.values.L : 0.0;
 
                 this.nodes.push({
                     id: nodeId++, type: EType.RC_GROUND,
                     R: 0, L: 0, G: 0, C: 0, isPhantom: true
                 });
-                this.nodes.push({
+
+                const node = {
                     id: nodeId++, type: EType.RL_SERIES,
                     R: R, L: L, G: 0, C: 0, isPhantom: false
-                });
+                };
+                if (f.tables.R || f.tables.L) {
+                    node.tables = [];
+                    if (f.tables.R) node.tables.push({ field: 'R', table: f.tables.R });
+                    if (f.tables.L) node.tables.push({ field: 'L', table: f.tables.L });
+                }
+                this.nodes.push(node);
             }
 
             // --- SWITCH (New) ---
             // Format:
             //   SWITCH Instant R_open R_close T_switch
             //   SWITCH Exponential R1 R2 k_decay T_switch
+            // Self-breaking (fire when |V| across the switch reaches V_break):
+            //   SWITCH Voltage R_open R_close V_break [t_delay] [jitter]
+            //   SWITCH Rompe-Weizel R_open R_min V_break gap_m pressure_atm [t_delay] [jitter]
+            //   SWITCH Braginskii R_open R_min V_break gap_m pressure_atm [t_delay] [jitter]
             else if (cmd.startsWith('SWITCH')) {
                 currentBlockType = 'SWITCH';
-                const type = parts[1].toUpperCase(); // INSTANT | EXPONENTIAL
+                const type = (parts[1] || '').toUpperCase();
 
                 let rOpen, rClose, tSwitch, kDecay;
+                let vBreak, tDelay, jitter, gap, pressure;
                 if (type === 'INSTANT') {
-                    rOpen = parseFloat(parts[2]);
-                    rClose = parseFloat(parts[3]);
-                    tSwitch = parseFloat(parts[4]);
+                    rOpen = this.readNumber(parts, 2, 'R_open');
+                    rClose = this.readNumber(parts, 3, 'R_close');
+                    tSwitch = this.readNumber(parts, 4, 't_switch');
                 }
                 else if (type === 'EXPONENTIAL') {
-                    rOpen = parseFloat(parts[2]);
-                    rClose = parseFloat(parts[3]);
-                    kDecay = parseFloat(parts[4]);
-                    tSwitch = parseFloat(parts[5]);
+                    rOpen = this.readNumber(parts, 2, 'R1');
+                    rClose = this.readNumber(parts, 3, 'R2');
+                    kDecay = this.readNumber(parts, 4, 'k_decay');
+                    tSwitch = this.readNumber(parts, 5, 't_switch');
+                }
+                else if (type === 'VOLTAGE') {
+                    rOpen = this.readNumber(parts, 2, 'R_open');
+                    rClose = this.readNumber(parts, 3, 'R_close');
+                    vBreak = this.readNumber(parts, 4, 'V_break', { positive: true });
+                    tDelay = this.readNumber(parts, 5, 't_delay', { optional: true, fallback: 0.0 });
+                    jitter = this.readNumber(parts, 6, 'jitter', { optional: true, fallback: 0.0 });
+                }
+                else if (type === 'ROMPE-WEIZEL' || type === 'BRAGINSKII') {
+                    rOpen = this.readNumber(parts, 2, 'R_open');
+                    rClose = this.readNumber(parts, 3, 'R_min');
+                    vBreak = this.readNumber(parts, 4, 'V_break', { positive: true });
+                    gap = this.readNumber(parts, 5, 'gap', { positive: true });
+                    pressure = this.readNumber(parts, 6, 'pressure', { positive: true });
+                    tDelay = this.readNumber(parts, 7, 't_delay', { optional: true, fallback: 0.0 });
+                    jitter = this.readNumber(parts, 8, 'jitter', { optional: true, fallback: 0.0 });
                 }
                 else {
-                    throw new Error(`Unknown SWITCH type: ${type}`);
+                    this.report('error', parts[1] ? `Unknown SWITCH type: ${parts[1]}` : 'Missing SWITCH type', 1);
+                    continue;
+                }
+
+                // Jitter is a 1-sigma spread on the firing delay, drawn once per
+                // switch at compile time from the Monte Carlo generator. Other
+                // runs use the nominal delay, like any toleranced value.
+                if (jitter && this.sampleTolerances) {
+                    tDelay = Math.max(0, tDelay + jitter * this.gaussian());
                 }
 
                 // A Switch is an RLSeries where R varies.
@@ -133,35 +581,290 @@ export class CircuitCompiler {
                     isPhantom: false,
                     isSwitch: true,
                     switchType: type,
-                    switchParams: { rOpen, rClose, tSwitch, kDecay }
+                    switchParams: { rOpen, rClose, tSwitch, kDecay, vBreak, tDelay, gap, pressure }
+                });
+            }
+
+            // --- FUSE ---
+            // Exploding-wire opening switch. Resistance is rho * length / area,
+            // with resistivity driven by the specific action integral(j^2 dt)
+            // or by the deposited specific energy.
+            // Format:
+            //   FUSE Action <length_m> <area_m2> <g1> <rho1> [<g2> <rho2> ...]
+            //   FUSE Energy <length_m> <area_m2> <density> <w1> <rho1> [<w2> <rho2> ...]
+            //   FUSE Burst  <length_m> <area_m2> <rho0> <rho_burst> <g_burst> <g_width> <rho_max>
+            else if (cmd.startsWith('FUSE')) {
+                currentBlockType = 'FUSE';
+                const type = (parts[1] || '').toUpperCase();
+                if (type !== 'ACTION' && type !== 'ENERGY' && type !== 'BURST') {
+                    this.report('error', parts[1] ? `Unknown FUSE type: ${parts[1]}` : 'Missing FUSE type', 1);
+                    continue;
+                }
+                const length = this.readNumber(parts, 2, 'length', { positive: true });
+                const area = this.readNumber(parts, 3, 'area', { positive: true });
+
+                const fuseParams = { length, area };
+                let pairStart;
+                if (type === 'ACTION') {
+                    pairStart = 4;
+                }
+                else if (type === 'ENERGY') {
+                    const density = this.readNumber(parts, 4, 'density', { positive: true });
+                    fuseParams.mass = density * length * area;
+                    pairStart = 5;
+                }
+                else {
+                    fuseParams.rho0 = this.readNumber(parts, 4, 'rho0', { positive: true });
+                    fuseParams.rhoBurst = this.readNumber(parts, 5, 'rho_burst', { positive: true });
+                    fuseParams.gBurst = this.readNumber(parts, 6, 'g_burst', { positive: true });
+                    fuseParams.gWidth = this.readNumber(parts, 7, 'g_width', { positive: true });
+                    fuseParams.rhoMax = this.readNumber(parts, 8, 'rho_max', { positive: true });
+                }
+
+                if (pairStart !== undefined) {
+                    // Interpolated logarithmically, so every resistivity must be positive
+                    fuseParams.table = this.readPairs(parts, pairStart, { x: [], y: [] }, 'resistivity', { positive: true });
+                    if (fuseParams.table.x.length === 0) {
+                        this.report('error', 'FUSE table needs at least one value pair', pairStart);
+                        continue;
+                    }
+                }
+
+                const rho0 = fuseParams.table ? fuseParams.table.y[0] : fuseParams.rho0;
+
+                // Same layout as a switch: phantom RCG then a variable resistor
+                this.nodes.push({
+                    id: nodeId++, type: EType.RC_GROUND,
+                    R: 0, L: 0, G: 0, C: 0, isPhantom: true
+                });
+                this.nodes.push({
+                    id: nodeId++, type: EType.RL_SERIES,
+                    R: rho0 * length / area, L: 1e-9, // 1nH parasitic inductance
+                    G: 0, C: 0,
+                    isPhantom: false,
+                    isFuse: true,
+                    fuseType: type,
+                    fuseParams: fuseParams
+                });
+            }
+
+            // --- ZPINCH ---
+            // Imploding thin-shell load in series with the line.
+            // Format: ZPINCH <r0_m> <length_m> <mass_kg> <r_final_m> [r_return_m]
+            // r_return defaults to r0, so only the dynamic inductance is added.
+            else if (cmd.startsWith('ZPINCH')) {
+                currentBlockType = 'ZPINCH';
+                const r0 = this.readNumber(parts, 1, 'r0', { positive: true });
+                const length = this.readNumber(parts, 2, 'length', { positive: true });
+                const mass = this.readNumber(parts, 3, 'mass', { positive: true });
+                const rFinal = this.readNumber(parts, 4, 'r_final', { positive: true });
+                const rReturn = this.readNumber(parts, 5, 'r_return', { optional: true, fallback: r0, positive: true });
+
+                this.nodes.push({
+                    id: nodeId++, type: EType.RC_GROUND,
+                    R: 0, L: 0, G: 0, C: 0, isPhantom: true
+                });
+                this.nodes.push({
+                    id: nodeId++, type: EType.RL_SERIES,
+                    R: 0, L: (2e-7 * length) * Math.log(rReturn / r0),
+                    G: 0, C: 0,
+                    isPhantom: false,
+                    isPinch: true,
+                    pinchParams: { r0, length, mass, rFinal, rReturn }
+                });
+            }
+
+            // --- DIODE / NLOAD ---
+            // Nonlinear loads to ground, solved by Newton iteration:
+            //   DIODE <gap_m> <area_m2> [v_closure_m_per_s]
+            //       Child-Langmuir space-charge-limited flow across a planar
+            //       gap, I = 2.33e-6 * area / gap^2 * V^1.5, with the gap
+            //       closing at v_closure (cathode plasma expansion)
+            //   NLOAD <k> <n>
+            //       I = k * V^n
+            // A diode conducts only with its node positive (the anode side);
+            // NLOAD conducts in either polarity, I having the sign of V. A
+            // 1 GOhm leak keeps the node's equation solvable where I(V) is flat.
+            else if (cmd.startsWith('DIODE') || cmd.startsWith('NLOAD')) {
+                const diode = cmd.startsWith('DIODE');
+                currentBlockType = diode ? 'DIODE' : 'NLOAD';
+                let params;
+                if (diode) {
+                    params = {
+                        gap: this.readNumber(parts, 1, 'gap', { positive: true }),
+                        area: this.readNumber(parts, 2, 'area', { positive: true }),
+                        velocity: this.readNumber(parts, 3, 'closure velocity', { optional: true, fallback: 0.0 })
+                    };
+                } else {
+                    params = {
+                        k: this.readNumber(parts, 1, 'k'),
+                        n: this.readNumber(parts, 2, 'n', { positive: true })
+                    };
+                }
+
+                this.nodes.push({
+                    id: nodeId++, type: EType.RC_GROUND,
+                    R: 0, L: 0, G: 1e-9, C: 0, isPhantom: false,
+                    isNonlinear: true,
+                    nonlinearType: currentBlockType,
+                    nonlinearParams: params
                 });
+                this.nodes.push({
+                    id: nodeId++, type: EType.RL_SERIES,
+                    R: 1e-7, L: 1e-11, G: 0, C: 0, isPhantom: true
+                });
+            }
+
+            // --- SATL ---
+            // Saturable inductor, solved by Newton iteration on its flux.
+            //   SATL <R> <L_unsat> <L_sat> <I_sat>
+            //       flux = L_sat*I + (L_unsat - L_sat)*I_sat*tanh(I/I_sat)
+            //   SATL <R> TABLE <i1> <flux1> ...  or  SATL <R> TABLE:<name>
+            //       piecewise-linear flux linkage (V s) against current (A),
+            //       from (0, 0), continued past the last point with its slope
+            // The curve is odd in I; there is no hysteresis.
+            else if (cmd.startsWith('SATL')) {
+                currentBlockType = 'SATL';
+                const R = this.readNumber(parts, 1, 'R');
+                const params = {};
+                const curve = (parts[2] || '').toUpperCase();
+                if (curve === 'TABLE' || curve.startsWith('TABLE:')) {
+                    params.table = (curve === 'TABLE') ? this.readPairs(parts, 3, { x: [], y: [] }) : this.tables[curve.slice(6)];
+                    if (!params.table) {
+                        this.report('error', `Unknown table: ${parts[2].slice(6)}`, 2);
+                        continue;
+                    }
+                    const t = params.table;
+                    if (t.x.length < 2 || t.x[0] !== 0 || t.y[0] !== 0) {
+                        this.report('error', 'SATL flux table needs at least two current/flux pairs, starting at 0 0', 2);
+                        continue;
+                    }
+                    if (t.x.some((x, k) => k > 0 && x <= t.x[k - 1])) {
+                        this.report('error', 'SATL flux table currents must increase', 2);
+                        continue;
+                    }
+                } else {
+                    params.lUnsat = this.readNumber(parts, 2, 'L_unsat', { positive: true });
+                    params.lSat = this.readNumber(parts, 3, 'L_sat', { positive: true });
+                    params.iSat = this.readNumber(parts, 4, 'I_sat', { positive: true });
+                    if (params.lSat > params.lUnsat) {
+                        this.report('error', 'L_sat must not exceed L_unsat', 3);
+                    }
+                }
+
+                this.nodes.push({
+                    id: nodeId++, type: EType.RC_GROUND,
+                    R: 0, L: 0, G: 0, C: 0, isPhantom: true
+                });
+                this.nodes.push({
+                    id: nodeId++, type: EType.RL_SERIES,
+                    R: R, L: 0, G: 0, C: 0, isPhantom: false,
+                    isNonlinear: true,
+                    nonlinearType: 'SATL',
+                    nonlinearParams: params
+                });
+            }
+
+            // --- VSOURCE / ISOURCE ---
+            // Driven sources with a prescribed waveform (see readWaveform).
+            //   VSOURCE <waveform> [R=<ohm>] [L=<H>]   series EMF with its
+            //       source resistance and inductance; as the first element of
+            //       the circuit it drives from ground
+            //   ISOURCE <waveform> [R=<ohm>]            current injected into
+            //       its node from ground, with an optional parallel resistance
+            else if (cmd === 'VSOURCE' || cmd === 'ISOURCE') {
+                const wave = this.readWaveform(parts, 1);
+                if (!wave) continue;
+                currentBlockType = cmd;
+
+                if (cmd === 'VSOURCE') {
+                    const R = this.readOption(options, 'R', 'source resistance', 1e-7);
+                    const L = this.readOption(options, 'L', 'source inductance', 1e-11);
+                    // Nothing comes before the first node, so a source there
+                    // gets its return path through a grounded phantom
+                    const grounded = (nodeId === 0);
+                    this.nodes.push({
+                        id: nodeId++, type: EType.RC_GROUND,
+                        R: 0, L: 0, G: grounded ? 1e9 : 0, C: 0, isPhantom: true
+                    });
+                    this.nodes.push({
+                        id: nodeId++, type: EType.RL_SERIES,
+                        R: R, L: L, G: 0, C: 0, isPhantom: false,
+                        source: wave
+                    });
+                } else {
+                    // Without R a 1 GOhm leak keeps the node's equation solvable
+                    const R = this.readOption(options, 'R', 'parallel resistance', 1e9);
+                    this.nodes.push({
+                        id: nodeId++, type: EType.RC_GROUND,
+                        R: 0, L: 0, G: (R > 0) ? 1.0 / R : 1e9, C: 0, isPhantom: false,
+                        source: wave
+                    });
+                    this.nodes.push({
+                        id: nodeId++, type: EType.RL_SERIES,
+                        R: 1e-7, L: 1e-11, G: 0, C: 0, isPhantom: true
+                    });
+                }
             }
 
             // TRLine
+            // Format:
+            //   TRLine Linear <delay> <Z> [resolution]
+            //   TRLine Exponential <delay> <Z_in> <Z_out> [resolution]
+            //   TRLine Linear-taper <delay> <Z_in> <Z_out> [resolution]
+            // Optional losses: R=<ohm/m> G=<S/m> LENGTH=<m>
+            // The per-metre losses need the physical length, which the delay
+            // alone does not give (water and oil lines are far shorter than
+            // c * delay), so LENGTH is required with R or G.
             else if (cmd.startsWith('TRL')) {
                 currentBlockType = 'TRL';
-                const delay = parseFloat(parts[2]);
-                const Z = parseFloat(parts[3]);
-                
-                let resolution;
-                if (parts.length > 4 && !isNaN(parseFloat(parts[4]))) {
-                    resolution = parseFloat(parts[4]);
-                } else if (this.trLineResolution !== null) {
-                    resolution = this.trLineResolution;
+                const profile = (parts[1] || 'LINEAR').toUpperCase();
+                if (profile !== 'LINEAR' && profile !== 'EXPONENTIAL' && profile !== 'LINEAR-TAPER') {
+                    this.report('error', `Unknown TRLine type: ${parts[1]}`, 1);
+                    continue;
+                }
+                const delay = this.readNumber(parts, 2, 'delay', { positive: true });
+
+                let zIn, zOut, resIndex;
+                if (profile === 'LINEAR') {
+                    zIn = zOut = this.readNumber(parts, 3, 'Z', { positive: true });
+                    resIndex = 4;
                 } else {
-                    resolution = this.globalResolution / 2.0;
+                    zIn = this.readNumber(parts, 3, 'Z_in', { positive: true });
+                    zOut = this.readNumber(parts, 4, 'Z_out', { positive: true });
+                    resIndex = 5;
+                }
+                
+                let resolution = this.readNumber(parts, resIndex, 'resolution', { optional: true, fallback: null, positive: true });
+                if (resolution === null) {
+                    resolution = (this.trLineResolution !== null) ? this.trLineResolution : this.globalResolution / 2.0;
                 }
 
                 const segments = Math.max(1, Math.round(delay / resolution));
-                const L_seg = (Z * delay) / segments;
-                const C_seg = (delay / Z) / segments;
-                
-                // const R_seg = 1e-4 * Z; 
+                const tauSeg = delay / segments;
+
+                if ((options.R !== undefined || options.G !== undefined) && options.LENGTH === undefined) {
+                    this.report('error', 'A TRLine with R= or G= needs LENGTH=<m>', (options.R !== undefined) ? 'R' : 'G');
+                }
+                const length = this.readOption(options, 'LENGTH', 'line length', 0);
+                const R_seg = this.readOption(options, 'R', 'series resistance', 0) * length / segments;
+                const G_seg = this.readOption(options, 'G', 'shunt conductance', 0) * length / segments;
 
                 for(let i=0; i<segments; i++) {
+                    // Impedance at the segment midpoint
+                    const x = (i + 0.5) / segments;
+                    let Z;
+                    if (profile === 'EXPONENTIAL') {
+                        Z = zIn * Math.pow(zOut / zIn, x);
+                    } else {
+                        Z = zIn + (zOut - zIn) * x;
+                    }
+                    const L_seg = Z * tauSeg;
+                    const C_seg = tauSeg / Z;
+
                     this.nodes.push({
                         id: nodeId++, type: EType.RC_GROUND,
-                        R: 0, L: 0, G: 0, C: C_seg, isPhantom: false
+                        R: 0, L: 0, G: G_seg, C: C_seg, isPhantom: false
                     });
                     
                     this.nodes.push({
@@ -179,65 +882,233 @@ export class CircuitCompiler {
 
                     this.nodes.push({
                         id: nodeId++, type: EType.RL_SERIES,
-                        R: 0, L: L_seg, G: 0, C: 0, isPhantom: false
+                        R: R_seg, L: L_seg, G: 0, C: 0, isPhantom: false
                     });
                 }
             }
 
+            else {
+                handled = false;
+            }
+
             if (currentBlockType) {
-                this.blocks.push({
+                const block = {
                     type: currentBlockType,
                     startNode: currentBlockStart,
                     endNode: nodeId - 1
-                });
+                };
+                if (currentBlockType === 'TRL') {
+                    block.segments = (block.endNode - block.startNode + 1) / 4;
+                }
+                if (options.NAME !== undefined) {
+                    const key = options.NAME.toUpperCase();
+                    if (this.blockNames[key]) {
+                        this.report('error', `Duplicate block name: ${options.NAME}`, 'NAME');
+                    } else {
+                        block.name = options.NAME;
+                        this.blockNames[key] = block;
+                    }
+                }
+                this.blocks.push(block);
             }
 
+            // Initial <target> <value>
+            // Initial <label> <target> <value>
+            // <target> is a block NAME, optionally NAME.IN / .OUT / .MID to
+            // set one TRLine segment. In the short form anything that is not
+            // a block name is a label for the last block: starting with I it
+            // sets the current through an inductive block (Initial IIN 50e3),
+            // anything else is a voltage (older decks also write Initial IC1
+            // 5000 for a capacitor). In the labelled form a label starting
+            // with I sets the current through the block rather than its
+            // voltage: Initial IL FEED 50e3.
+            // On a TRLine <value> may be a profile along the line, TABLE x1 v1
+            // x2 v2 ... or TABLE:<name>, with x from 0 (input) to 1 (output).
             else if (cmd.startsWith('INITIAL')) {
-                const val = parseFloat(parts[2]);
-                const targetBlock = this.blocks[this.blocks.length - 1];
-                if (targetBlock) {
-                    if (targetBlock.type === 'TRL') {
-                        for(let i=targetBlock.startNode; i<=targetBlock.endNode; i++) {
-                            if (this.nodes[i].initialV === undefined) { 
-                                this.nodes[i].initialV = val;
-                            }
-                        }
+                const isProfile = (k) => parts[k] !== undefined && parts[k].toUpperCase().startsWith('TABLE');
+                const labelled = isProfile(3) || (!isProfile(2) && parts.length > 3);
+                const valueAt = labelled ? 3 : 2;
+                let ref;
+                let current;
+                if (labelled) {
+                    const kind = parts[1].toUpperCase()[0];
+                    if (kind !== 'V' && kind !== 'I') {
+                        this.report('error', `Initial label '${parts[1]}' must start with V (voltage) or I (current)`, 1);
+                        continue;
+                    }
+                    current = (kind === 'I');
+                    ref = this.findBlock(parts[2]);
+                    if (!ref) {
+                        this.report('error', `Unknown block: ${parts[2]}`, 2);
+                        continue;
+                    }
+                    if (current && !this.hasInductance(ref.block)) {
+                        this.report('error', `Initial current needs a block with series inductance; ${parts[2]} has none`, 2);
+                        continue;
+                    }
+                } else {
+                    ref = this.findBlock(parts[1]);
+                    current = false;
+                }
+                const targetBlock = ref ? ref.block : this.blocks[this.blocks.length - 1];
+                if (!targetBlock) {
+                    this.report('error', 'Initial has no preceding block to charge', 0);
+                    continue;
+                }
+                if (!labelled && !ref && parts[1] && parts[1].toUpperCase().startsWith('I')) {
+                    current = this.hasInductance(targetBlock);
+                    if (!current) {
+                        this.report('warning', `Initial ${parts[1]} sets a voltage: the last block has no series inductance to carry a current`, 1);
+                    }
+                }
+
+                let value;
+                if (isProfile(valueAt)) {
+                    if (targetBlock.type !== 'TRL') {
+                        this.report('error', 'An Initial profile needs a TRLine block', valueAt);
+                        continue;
+                    }
+                    value = this.readProfile(parts, valueAt);
+                    if (!value) continue;
+                } else {
+                    value = this.readNumber(parts, valueAt, current ? 'initial current' : 'initial voltage', { allowNegative: true });
+                }
+                this.applyInitial(targetBlock, ref ? ref.position : null, value, current ? 'initialI' : 'initialV');
+            }
+
+            // MUTUAL <block1> <block2> <k>
+            // Couples the inductors of two named RLSeries blocks with mutual
+            // inductance M = k * sqrt(L1 L2), |k| <= 1. A negative k reverses
+            // the winding sense. The blocks may sit anywhere in the deck:
+            // separated by a grounded node they are the primary and
+            // secondary of a transformer.
+            else if (cmd === 'MUTUAL') {
+                const refs = [1, 2].map(k => {
+                    const ref = this.findBlock(parts[k]);
+                    if (!ref) {
+                        this.report('error', parts[k] ? `Unknown block: ${parts[k]}` : 'MUTUAL needs two block names', k);
+                    }
+                    return ref;
+                });
+                const coupling = this.readNumber(parts, 3, 'coupling coefficient', { allowNegative: true });
+                if (!refs[0] || !refs[1]) continue;
+                if (Math.abs(coupling) > 1) {
+                    this.report('error', 'Coupling coefficient must be between -1 and 1', 3);
+                    continue;
+                }
+                const inductors = [];
+                for (let k = 0; k < 2; k++) {
+                    const block = refs[k].block;
+                    const node = this.nodes[block.endNode];
+                    if (block.type !== 'RLS') {
+                        this.report('error', `MUTUAL couples RLSeries blocks; ${parts[k + 1]} is ${block.type}`, k + 1);
+                    } else if (node.tables && node.tables.some(t => t.field === 'L')) {
+                        this.report('error', `MUTUAL cannot couple the table-driven inductance of ${parts[k + 1]}`, k + 1);
+                    } else if (!(node.L > 0)) {
+                        this.report('error', `${parts[k + 1]} has no inductance to couple`, k + 1);
                     } else {
-                        for(let i=targetBlock.endNode; i>=targetBlock.startNode; i--) {
-                            if (this.nodes[i].type === EType.RC_GROUND && !this.nodes[i].isPhantom) {
-                                this.nodes[i].initialV = val;
-                                let k = i + 1;
-                                while(k < this.nodes.length && this.nodes[k].isPhantom) {
-                                    this.nodes[k].initialV = val;
-                                    k++;
-                                }
-                                break;
-                            }
-                        }
+                        inductors.push(block.endNode);
                     }
                 }
+                if (inductors.length < 2) continue;
+                const [a, b] = inductors;
+                if (a === b) {
+                    this.report('error', `${parts[1]} cannot be coupled to itself`, 2);
+                    continue;
+                }
+                if (this.nodes[a].mutual && this.nodes[a].mutual.some(m => m.node === b)) {
+                    this.report('error', `${parts[1]} and ${parts[2]} are already coupled`, 2);
+                    continue;
+                }
+                const M = coupling * Math.sqrt(this.nodes[a].L * this.nodes[b].L);
+                (this.nodes[a].mutual = this.nodes[a].mutual || []).push({ node: b, M: M });
+                (this.nodes[b].mutual = this.nodes[b].mutual || []).push({ node: a, M: M });
             }
 
+            // TXT <label> [<quantity>] [NAME[.IN|.OUT|.MID]]
+            // Without a quantity keyword (see PROBE_QUANTITIES) the label's
+            // first letter picks the voltage (V) or the current entering the
+            // block (I). Any other label, lowercase included, reads the
+            // current at the block's last node, as older decks expect.
+            // TXT <label> = <expression> combines earlier probes by label.
             else if (cmd.startsWith('TXT')) {
-                const target = parts[1];
-                const targetBlock = this.blocks[this.blocks.length - 1];
-                let probeIndex = this.nodes.length - 1; 
-
-                if (targetBlock) {
-                    if (target.startsWith('I')) {
-                        if (targetBlock.startNode > 0) {
-                            probeIndex = targetBlock.startNode - 1;
-                        } else {
-                            probeIndex = 0;
-                        }
-                    } 
-                    else if (target.startsWith('V')) {
-                        for(let k=targetBlock.endNode; k>=targetBlock.startNode; k--) {
-                            if (!this.nodes[k].isPhantom) {
-                                probeIndex = k;
-                                break;
-                            }
+                const eq = line.indexOf('=');
+                const isExpression = eq > 0;
+                const target = isExpression ? line.slice(parts[0].length, eq).trim() : parts[1];
+                const request = { type: null, nodeIndex: 0, label: null };
+                if (!target) {
+                    this.report('error', 'TXT needs a probe label', 1);
+                    continue;
+                }
+
+                if (isExpression) {
+                    const source = line.slice(eq + 1).trim();
+                    let compiled;
+                    try {
+                        compiled = compileExpression(source);
+                    } catch (err) {
+                        this.report('error', err.message, 1);
+                        continue;
+                    }
+                    // Names that are not probe labels fall back to parameters
+                    const constants = {};
+                    const unknown = compiled.names.filter(name => {
+                        if (name === 't' || usedLabels.has(name)) return false;
+                        const value = this.parameters[name.toUpperCase()];
+                        if (value === undefined) return true;
+                        constants[name] = value;
+                        return false;
+                    });
+                    if (unknown.length > 0) {
+                        this.report('error', `Unknown probe or parameter '${unknown[0]}' in TXT ${target}`, 1);
+                        continue;
+                    }
+                    request.type = 'expression';
+                    request.expression = compiled;
+                    request.constants = constants;
+                    request.source = source;
+                } else {
+                    // A block named like a quantity keeps its name when it is
+                    // the only argument, as it did before the keywords
+                    let blockAt = 2;
+                    let kind = target.startsWith('V') ? 'voltage' : 'current';
+                    let lastNode = !target.startsWith('V') && !target.startsWith('I');
+                    const quantity = (parts[2] || '').toUpperCase();
+                    if (PROBE_QUANTITIES[quantity] && (parts.length > 3 || !this.findBlock(parts[2]))) {
+                        kind = PROBE_QUANTITIES[quantity];
+                        lastNode = false;
+                        blockAt = 3;
+                    }
+
+                    let targetBlock = this.blocks[this.blocks.length - 1];
+                    let position = null;
+                    if (parts.length > blockAt) {
+                        const ref = this.findBlock(parts[blockAt]);
+                        if (!ref) {
+                            this.report('error', `Unknown block: ${parts[blockAt]}`, blockAt);
+                            continue;
                         }
+                        targetBlock = ref.block;
+                        position = ref.position;
+                    }
+                    if (!targetBlock) {
+                        this.report('error', `TXT ${target} has no preceding block to probe`, 0);
+                        continue;
+                    }
+                    if (lastNode && position === null) position = 'OUT';
+
+                    const readsVoltage = (kind === 'voltage' || kind === 'dvdt');
+
+                    let probeIndex = this.nodes.length - 1; 
+                    if (targetBlock) {
+                        probeIndex = this.probeNode(targetBlock, readsVoltage ? 'V' : 'I', position);
+                    }
+
+                    request.type = kind;
+                    request.nodeIndex = Math.max(0, probeIndex);
+                    if (targetBlock) {
+                        request.startNode = targetBlock.startNode;
+                        request.endNode = targetBlock.endNode;
                     }
                 }
 
@@ -249,19 +1120,617 @@ export class CircuitCompiler {
                 }
                 usedLabels.add(uniqueLabel);
 
-                this.outputRequests.push({
-                    type: target.startsWith('V') ? 'voltage' : 'current',
-                    nodeIndex: Math.max(0, probeIndex),
-                    label: uniqueLabel
+                request.label = uniqueLabel;
+                this.outputRequests.push(request);
+            }
+
+            else if (!handled) {
+                this.report('error', `Unknown keyword: ${parts[0]}`, 0);
+            }
+        }
+
+        this.spreadInitialCurrents();
+
+        if (openDefine) {
+            this.diagnostics.push({
+                line: openDefine.line, column: 1, severity: 'error',
+                message: `DEFINE ${openDefine.name} is not closed with END DEFINE`
+            });
+        }
+        if (openTable) {
+            this.diagnostics.push({
+                line: tableLine, column: 1, severity: 'warning',
+                message: 'TABLE is not closed with END TABLE'
+            });
+        }
+        if (this.sweep && this.parameters[this.sweep.parameter.toUpperCase()] === undefined) {
+            this.diagnostics.push({
+                line: sweepLine, column: 1, severity: 'error',
+                message: `SWEEP parameter '${this.sweep.parameter}' is not declared with PARAMETER`
+            });
+        }
+        // Probe labels, for directives that refer to them
+        const labels = new Set(this.outputRequests.map(req => req.label));
+        if (this.monteCarlo) {
+            if (this.sweep) {
+                this.diagnostics.push({
+                    line: monteCarloLine, column: 1, severity: 'error',
+                    message: 'MONTECARLO cannot be combined with SWEEP'
                 });
             }
+            this.monteCarlo.histograms.forEach(h => {
+                if (!labels.has(h.label)) {
+                    this.diagnostics.push({
+                        line: monteCarloLine, column: 1, severity: 'error',
+                        message: `Histogram probe '${h.label}' is not a TXT label`
+                    });
+                }
+            });
         }
+        const schedule = this.buildSchedule();
+        this.stopConditions.forEach(c => {
+            if (!labels.has(c.label)) {
+                this.diagnostics.push({
+                    line: c.line, column: 1, severity: 'error',
+                    message: `STOP-IF probe '${c.label}' is not a TXT label`
+                });
+            }
+        });
+        if (this.t_end < this.dt) {
+            this.diagnostics.push({
+                line: endTimeLine || 1, column: 1, severity: 'error',
+                message: `End-time (${this.t_end}) is shorter than Time-step (${this.dt})`
+            });
+        }
+
+        this.diagnostics.sort((a, b) => (a.line - b.line) || (a.column - b.column));
 
         return {
             nodes: this.nodes,
             outputRequests: this.outputRequests,
             dt: this.dt,
-            t_end: this.t_end
+            t_end: this.t_end,
+            schedule: schedule,
+            adaptive: this.adaptive && { dtMin: this.adaptive.dtMin, tolerance: this.adaptive.tolerance },
+            stopConditions: this.stopConditions.map(c => ({ label: c.label, op: c.op, limit: c.limit })),
+            sweep: this.sweep,
+            monteCarlo: this.monteCarlo,
+            blocks: this.blocks,
+            diagnostics: this.diagnostics
         };
     }
-}
\ No newline at end of file
+
+    /**
+     * Sorts the Time-step ... FROM entries into the run's time base,
+     * [{ from, dt }] starting at t=0. A later entry for the same start time
+     * replaces an earlier one; entries at or past End-time are dropped.
+     */
+    buildSchedule() {
+        const schedule = [{ from: 0, dt: this.dt }];
+        this.schedule
+            .slice()
+            .sort((a, b) => a.from - b.from)
+            .forEach(entry => {
+                if (entry.from >= this.t_end) {
+                    this.diagnostics.push({
+                        line: entry.line, column: 1, severity: 'warning',
+                        message: `Time-step FROM ${entry.from} is not before End-time (${this.t_end}); ignored`
+                    });
+                    return;
+                }
+                const last = schedule[schedule.length - 1];
+                if (last.from === entry.from) last.dt = entry.dt;
+                else schedule.push({ from: entry.from, dt: entry.dt });
+            });
+
+        if (this.adaptive) {
+            const finest = Math.min(...schedule.map(s => s.dt));
+            if (this.adaptive.dtMin > finest) {
+                this.diagnostics.push({
+                    line: this.adaptive.line, column: 1, severity: 'warning',
+                    message: `ADAPTIVE-STEP minimum (${this.adaptive.dtMin}) is larger than Time-step (${finest}); steps will not shrink below the schedule`
+                });
+            }
+        }
+        return schedule;
+    }
+
+    /**
+     * Checks a deck without running it.
+     * Returns the diagnostics list: { line, column, severity, message }.
+     */
+    validate(scriptText) {
+        return this.compile(scriptText).diagnostics;
+    }
+
+    /**
+     * Records a diagnostic against the current line.
+     * 'at' is a positional argument index, or an option key (e.g. 'NAME').
+     */
+    report(severity, message, at) {
+        const cur = this.cursor;
+        let column;
+        if (typeof at === 'string') column = cur.optionColumns[at];
+        else column = cur.columns[at];
+        this.diagnostics.push({
+            line: cur.line,
+            column: column !== undefined ? column : cur.endColumn,
+            severity: severity,
+            message: cur.via ? `${message} (in ${cur.via})` : message
+        });
+    }
+
+    /**
+     * Lines of a subcircuit call, each parameter replaced by its argument.
+     * Arguments are positional, or <param>=<value>. 'call' is the queue
+     * entry of the calling line. Returns null after reporting an error.
+     */
+    expandMacro(macro, parts, options, call) {
+        if (call.depth >= MAX_DEFINE_DEPTH) {
+            this.report('error', `${macro.name} nests more than ${MAX_DEFINE_DEPTH} subcircuits deep (does it call itself?)`, 0);
+            return null;
+        }
+        if (parts.length - 1 > macro.params.length) {
+            this.report('error', `${macro.name} takes ${macro.params.length} argument(s)`, macro.params.length + 1);
+            return null;
+        }
+        const args = {};
+        parts.slice(1).forEach((arg, k) => { args[macro.params[k].toUpperCase()] = arg; });
+        for (const key of Object.keys(options)) {
+            if (!macro.params.some(p => p.toUpperCase() === key)) {
+                this.report('error', `${macro.name} has no parameter ${key}`, key);
+                return null;
+            }
+            args[key] = options[key];
+        }
+        const missing = macro.params.find(p => args[p.toUpperCase()] === undefined);
+        if (missing !== undefined) {
+            this.report('error', `Missing ${missing} for ${macro.name}`, parts.length);
+            return null;
+        }
+
+        const via = `${macro.name} at line ${call.line}` + (call.depth > 0 ? `, from line ${call.origin}` : '');
+        return macro.body.map(entry => ({
+            text: substituteArguments(entry.text, args),
+            line: entry.line, via: via, depth: call.depth + 1, origin: call.origin
+        }));
+    }
+
+    /**
+     * Reads the numeric argument parts[k], reporting a diagnostic when it is
+     * missing, malformed, negative or (with 'positive') zero.
+     * opts: { optional, fallback, allowNegative, positive }
+     * Invalid values come back as 0 so compilation can carry on and report
+     * everything in one pass.
+     */
+    readNumber(parts, k, what, opts = {}) {
+        const token = parts[k];
+        if (token === undefined) {
+            if (opts.optional) return opts.fallback;
+            this.report('error', `Missing ${what}`, k);
+            return 0;
+        }
+        return this.checkNumber(token, what, opts, k);
+    }
+
+    /**
+     * Reads a KEY=value option as a number, or returns the fallback when absent.
+     */
+    readOption(options, key, what, fallback) {
+        if (options[key] === undefined) return fallback;
+        return this.checkNumber(options[key], what, {}, key);
+    }
+
+    /**
+     * Evaluates a numeric token and applies the sign checks in opts.
+     * A token may carry a tolerance, 0.1±5% (relative) or 0.1±0.005
+     * (absolute), drawn uniformly across the band when sampling tolerances.
+     */
+    checkNumber(token, what, opts, at) {
+        let v;
+        const tol = token.search(TOLERANCE_PATTERN);
+        if (tol > 0) {
+            const nominal = this.evaluateToken(token.slice(0, tol), what, at);
+            let spec = token.slice(tol).replace(TOLERANCE_PATTERN, '');
+            const relative = spec.endsWith('%');
+            if (relative) spec = spec.slice(0, -1);
+            let spread = this.evaluateToken(spec, `${what} tolerance`, at);
+            if (nominal === null || spread === null) return 0;
+            if (relative) spread = Math.abs(nominal) * spread / 100;
+            v = this.sampleTolerances ? nominal + spread * (2 * this.random() - 1) : nominal;
+        } else {
+            v = this.evaluateToken(token, what, at);
+            if (v === null) return 0;
+        }
+        if (v < 0 && !opts.allowNegative) {
+            this.report('error', `${what} must not be negative`, at);
+        } else if (v === 0 && opts.positive) {
+            this.report('error', `${what} must be greater than zero`, at);
+        }
+        return v;
+    }
+
+    /**
+     * Evaluates a plain number, a number with an SI suffix (100n, 80kV) or an
+     * expression over PARAMETERs (L_stray*2, gauss(20n, 1n)).
+     * Returns null after reporting a diagnostic when the token is invalid.
+     */
+    evaluateToken(token, what, at) {
+        if (NUMBER_PATTERN.test(token)) return parseFloat(token);
+
+        let compiled;
+        try {
+            compiled = compileExpression(token, this.distributions);
+        } catch (err) {
+            this.report('error', `'${token}' is not a number or expression (${what})`, at);
+            return null;
+        }
+        const unknown = compiled.names.find(name => this.parameters[name.toUpperCase()] === undefined);
+        if (unknown !== undefined) {
+            this.report('error', `Unknown parameter '${unknown}' (${what})`, at);
+            return null;
+        }
+        const v = compiled.evaluate(name => this.parameters[name.toUpperCase()]);
+        if (!isFinite(v)) {
+            this.report('error', `'${token}' does not evaluate to a finite number (${what})`, at);
+            return null;
+        }
+        return v;
+    }
+
+    /**
+     * Looks up a 'NAME' or 'NAME.POS' block reference.
+     * Returns { block, position } or null when no block has that name.
+     */
+    findBlock(ref) {
+        if (!ref) return null;
+        const [name, pos] = ref.toUpperCase().split('.');
+        const block = this.blockNames[name];
+        if (!block) return null;
+        return { block: block, position: pos || null };
+    }
+
+    /**
+     * Node index sampled by a probe on a block.
+     * kind is 'V' or 'I'; position is null, 'IN', 'OUT' or 'MID'.
+     * Without a position, V reads the last real node of the block and
+     * I reads the current entering the block.
+     */
+    probeNode(block, kind, position) {
+        if (position === 'MID' && block.type === 'TRL') {
+            const seg = block.startNode + 4 * Math.floor(block.segments / 2);
+            return (kind === 'V') ? seg : seg + 3;
+        }
+        if (kind === 'I') {
+            if (position === 'OUT') return block.endNode;
+            return (block.startNode > 0) ? block.startNode - 1 : 0;
+        }
+        if (position === 'IN') return block.startNode;
+        for(let k=block.endNode; k>=block.startNode; k--) {
+            if (!this.nodes[k].isPhantom) return k;
+        }
+        return block.endNode;
+    }
+
+    /**
+     * Sets initial voltages ('initialV') or currents ('initialI') on a block.
+     * A TRLine is set along its whole length (or one segment for
+     * IN/OUT/MID), with 'val' either a number or a profile table over the
+     * position along the line, read at each segment's midpoint. Other blocks
+     * charge their real RC node and the phantoms that follow it, or carry
+     * the current through every node.
+     */
+    applyInitial(block, position, val, field = 'initialV') {
+        if (block.type === 'TRL') {
+            let first = 0;
+            let last = block.segments - 1;
+            if (position === 'IN' || position === 'OUT' || position === 'MID') {
+                let seg = 0;
+                if (position === 'OUT') seg = block.segments - 1;
+                else if (position === 'MID') seg = Math.floor(block.segments / 2);
+                first = last = seg;
+            }
+            for (let seg = first; seg <= last; seg++) {
+                const v = (typeof val === 'number') ? val : interpolate(val, (seg + 0.5) / block.segments);
+                for (let i = block.startNode + 4 * seg; i < block.startNode + 4 * seg + 4; i++) {
+                    if (this.nodes[i][field] === undefined) {
+                        this.nodes[i][field] = v;
+                    }
+                }
+            }
+            return;
+        }
+
+        if (field === 'initialI') {
+            for (let i = block.startNode; i <= block.endNode; i++) this.nodes[i].initialI = val;
+            return;
+        }
+
+        for(let i=block.endNode; i>=block.startNode; i--) {
+            if (this.nodes[i].type === EType.RC_GROUND && !this.nodes[i].isPhantom) {
+                this.nodes[i].initialV = val;
+                let k = i + 1;
+                while(k < this.nodes.length && this.nodes[k].isPhantom && this.nodes[k].junction === undefined) {
+                    this.nodes[k].initialV = val;
+                    k++;
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * True when a block has an inductor of its own to carry an initial
+     * current (the phantoms' parasitic inductance does not count).
+     */
+    hasInductance(block) {
+        for (let i = block.startNode; i <= block.endNode; i++) {
+            const node = this.nodes[i];
+            if (node.type !== EType.RL_SERIES || node.isPhantom) continue;
+            if (node.L > 0 || node.isNonlinear || (node.tables && node.tables.some(t => t.field === 'L'))) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Carries each initial current on through neighbouring nodes without C
+     * or G. Their KCL makes the current continuous, so the whole series path
+     * of an inductor current starts with it: the phantoms, a switch, the
+     * next inductor. Stops at capacitors, shunt resistors, branch junctions
+     * and the ends of a chain.
+     */
+    spreadInitialCurrents() {
+        const nodes = this.nodes;
+        const N = nodes.length;
+        const junctions = new Set(nodes.filter(n => n.junction !== undefined).map(n => n.junction));
+        const passes = (k) => nodes[k].C === 0 && nodes[k].G === 0 &&
+                              nodes[k].junction === undefined && !junctions.has(k);
+        const segmentEnd = (k) => k === N - 1 || nodes[k + 1].junction !== undefined;
+
+        for (let i = 0; i < N; i++) {
+            const I0 = nodes[i].initialI;
+            if (I0 === undefined) continue;
+            for (let k = i + 1; k < N && nodes[k].initialI === undefined && passes(k) && !segmentEnd(k); k++) {
+                nodes[k].initialI = I0;
+            }
+            for (let k = i; k > 0 && passes(k) && nodes[k - 1].initialI === undefined; k--) {
+                nodes[k - 1].initialI = I0;
+            }
+        }
+    }
+
+    /**
+     * Reads an Initial profile at parts[k]: TABLE x1 v1 x2 v2 ... or
+     * TABLE:<name>. Returns the table, or null after reporting an error.
+     */
+    readProfile(parts, k) {
+        const upper = parts[k].toUpperCase();
+        let table;
+        if (upper === 'TABLE') {
+            table = this.readPairs(parts, k + 1, { x: [], y: [] });
+        } else {
+            table = this.tables[upper.slice(6)];
+            if (!table) {
+                this.report('error', `Unknown table: ${parts[k].slice(6)}`, k);
+                return null;
+            }
+        }
+        if (table.x.length === 0) {
+            this.report('error', 'Initial profile needs at least one position/value pair', k);
+            return null;
+        }
+        return table;
+    }
+
+    /**
+     * Splits a raw deck line into positional arguments and KEY=value options,
+     * remembering each token's 1-based column for diagnostics.
+     * Whitespace inside parentheses does not split a token, so an expression
+     * such as (R_load + 0.1) stays one field.
+     * Option keys are upper-cased; values are left as written.
+     */
+    tokenizeLine(rawLine, lineNo) {
+        const parts = [];
+        const options = {};
+        const columns = [];
+        const optionColumns = {};
+        let i = 0;
+        while (i < rawLine.length) {
+            if (/\s/.test(rawLine[i])) { i++; continue; }
+            const start = i;
+            let depth = 0;
+            while (i < rawLine.length && (depth > 0 || !/\s/.test(rawLine[i]))) {
+                if (rawLine[i] === '(') depth++;
+                else if (rawLine[i] === ')') depth--;
+                i++;
+            }
+            const token = rawLine.slice(start, i);
+            const eq = token.indexOf('=');
+            if (eq > 0) {
+                const key = token.slice(0, eq).toUpperCase();
+                options[key] = token.slice(eq + 1);
+                optionColumns[key] = start + 1;
+            } else {
+                parts.push(token);
+                columns.push(start + 1);
+            }
+        }
+        this.cursor = { line: lineNo, columns, optionColumns, endColumn: rawLine.trimEnd().length + 1 };
+        return { parts, options };
+    }
+
+    /**
+     * Reads the value fields of an element line, in order, starting at parts[1].
+     * Each field is a number or a TABLE:<name> reference. A bare TABLE keyword
+     * turns the rest of the line into inline time/value pairs for that field.
+     * Table-driven fields report their t=0 value in 'values'.
+     * The first field is required.
+     */
+    readFields(parts, names) {
+        const values = {};
+        const tables = {};
+        for (let k = 0; k < names.length; k++) {
+            const token = parts[k + 1];
+            if (token === undefined) {
+                if (k === 0) {
+                    this.report('error', `Missing ${names[0]}`, 1);
+                    values[names[0]] = 0;
+                }
+                break;
+            }
+
+            const upper = token.toUpperCase();
+            let table = null;
+            if (upper === 'TABLE') {
+                table = this.readPairs(parts, k + 2, { x: [], y: [] });
+                if (table.x.length === 0) {
+                    this.report('error', `TABLE for ${names[k]} needs at least one time/value pair`, k + 1);
+                }
+            } else if (upper.startsWith('TABLE:')) {
+                table = this.tables[upper.slice(6)];
+                if (!table) {
+                    this.report('error', `Unknown table: ${token.slice(6)}`, k + 1);
+                    table = { x: [], y: [] };
+                }
+            }
+
+            if (table) {
+                tables[names[k]] = table;
+                values[names[k]] = table.y.length > 0 ? table.y[0] : 0.0;
+                if (upper === 'TABLE') break;
+            } else {
+                values[names[k]] = this.readNumber(parts, k + 1, names[k]);
+            }
+        }
+        return { values, tables };
+    }
+
+    /**
+     * Reads a source waveform starting with its shape at parts[k]:
+     *   STEP <amplitude> [t_start]
+     *   RAMP <amplitude> <t_rise> [t_start]
+     *   SINE <amplitude> <frequency> [phase_deg] [t_start]
+     *   DEXP <amplitude> <tau_fall> <tau_rise> [t_start]   (peak = amplitude)
+     *   GAUSSIAN <amplitude> <t_peak> <fwhm>
+     *   TABLE <t1> <v1> <t2> <v2> ...  or  TABLE:<name>    (piecewise linear)
+     * Returns the waveform for sourceValue(), or null after reporting an error.
+     */
+    readWaveform(parts, k) {
+        const shape = (parts[k] || '').toUpperCase();
+        const amplitude = () => this.readNumber(parts, k + 1, 'amplitude', { allowNegative: true });
+        const start = (j) => this.readNumber(parts, k + j, 't_start', { optional: true, fallback: 0.0 });
+
+        if (shape === 'STEP') {
+            const wave = { shape, amplitude: amplitude(), t0: start(2) };
+            wave.breaks = [wave.t0];
+            return wave;
+        }
+        if (shape === 'RAMP') {
+            const wave = { shape, amplitude: amplitude(),
+                           tRise: this.readNumber(parts, k + 2, 't_rise', { positive: true }), t0: start(3) };
+            wave.breaks = [wave.t0, wave.t0 + wave.tRise];
+            return wave;
+        }
+        if (shape === 'SINE') {
+            const wave = { shape, amplitude: amplitude(),
+                           frequency: this.readNumber(parts, k + 2, 'frequency', { positive: true }),
+                           phase: this.readNumber(parts, k + 3, 'phase', { optional: true, fallback: 0.0, allowNegative: true }) * Math.PI / 180,
+                           t0: start(4) };
+            wave.breaks = [wave.t0];
+            return wave;
+        }
+        if (shape === 'DEXP') {
+            const wave = { shape, amplitude: amplitude(),
+                           tauFall: this.readNumber(parts, k + 2, 'tau_fall', { positive: true }),
+                           tauRise: this.readNumber(parts, k + 3, 'tau_rise', { positive: true }),
+                           t0: start(4) };
+            if (!(wave.tauFall > wave.tauRise)) {
+                this.report('error', 'DEXP needs tau_fall longer than tau_rise', k + 2);
+                return null;
+            }
+            wave.norm = doubleExponentialNorm(wave.tauFall, wave.tauRise);
+            wave.breaks = [wave.t0];
+            return wave;
+        }
+        if (shape === 'GAUSSIAN') {
+            return { shape, amplitude: amplitude(),
+                     tPeak: this.readNumber(parts, k + 2, 't_peak'),
+                     fwhm: this.readNumber(parts, k + 3, 'fwhm', { positive: true }),
+                     breaks: [] };
+        }
+        if (shape === 'TABLE' || shape.startsWith('TABLE:')) {
+            let table;
+            if (shape === 'TABLE') {
+                table = this.readPairs(parts, k + 1, { x: [], y: [] });
+            } else {
+                table = this.tables[shape.slice(6)];
+                if (!table) {
+                    this.report('error', `Unknown table: ${parts[k].slice(6)}`, k);
+                    return null;
+                }
+            }
+            if (table.x.length === 0) {
+                this.report('error', 'Source TABLE needs at least one time/value pair', k);
+                return null;
+            }
+            return { shape: 'TABLE', table, breaks: [] };
+        }
+        this.report('error', parts[k] ? `Unknown waveform: ${parts[k]}` : 'Missing source waveform', k);
+        return null;
+    }
+
+    /**
+     * Appends x/y pairs from parts[start...] to a table. The values take the
+     * readNumber sign checks in valueOpts, under the name 'what'.
+     */
+    readPairs(parts, start, table, what = 'table value', valueOpts = { allowNegative: true }) {
+        let k = start;
+        for (; k + 1 < parts.length; k += 2) {
+            table.x.push(this.readNumber(parts, k, 'table abscissa', { allowNegative: true }));
+            table.y.push(this.readNumber(parts, k + 1, what, valueOpts));
+        }
+        if (k < parts.length) {
+            this.report('warning', `Unpaired table value '${parts[k]}' ignored`, k);
+        }
+        return table;
+    }
+
+    /**
+     * Standard normal sample (Box-Muller) from this.random.
+     */
+    gaussian() {
+        const u1 = 1.0 - this.random();
+        const u2 = this.random();
+        return Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+    }
+
+    /**
+     * Starts a new chain segment hanging off an existing junction node.
+     * The connector's voltage is tied to the junction and its series current
+     * is drawn out of the junction's KCL (off-band terms in the solver).
+     * It carries the same small parasitic R/L as the RCGround phantom.
+     */
+    pushConnector(id, junction) {
+        this.nodes.push({
+            id: id, type: EType.RC_GROUND,
+            R: 1e-7, L: 1e-11, G: 0, C: 0, isPhantom: true,
+            junction: junction,
+            initialV: this.nodes[junction].initialV
+        });
+    }
+}
+
+/**
+ * Replaces subcircuit parameters in a deck line. 'args' maps upper-case
+ * parameter names to argument text. An argument inside an expression is
+ * parenthesised so it keeps its own precedence.
+ */
+function substituteArguments(text, args) {
+    return text.replace(DEFINE_IDENTIFIER, (name, offset) => {
+        const arg = args[name.toUpperCase()];
+        if (arg === undefined) return name;
+        const before = text[offset - 1] || '';
+        const after = text[offset + name.length] || '';
+        return (EXPRESSION_OPERATOR.test(before) || EXPRESSION_OPERATOR.test(after)) ? `(${arg})` : arg;
+    });
+}
@@ -0,0 +1,77 @@
+/**
+ * waveform.js
+ * Time histories of the driven sources (VSOURCE, ISOURCE) and the
+ * piecewise-linear table lookup shared with table-driven elements.
+ *
+ * A waveform is { shape, amplitude, t0, ... , breaks }; see the shapes in
+ * sourceValue. 'breaks' lists the times where it jumps or kinks, so the
+ * adaptive time base can land on them.
+ */
+
+export const WAVEFORM_SHAPES = ['STEP', 'RAMP', 'SINE', 'DEXP', 'GAUSSIAN', 'TABLE'];
+
+/**
+ * Value of a waveform at time t.
+ *   STEP      amplitude from t0 on
+ *   RAMP      linear rise from t0 over tRise, then held
+ *   SINE      amplitude * sin(2 pi f (t - t0) + phase) from t0 on
+ *   DEXP      double exponential from t0, scaled so its peak is the amplitude
+ *   GAUSSIAN  peak at tPeak with full width at half maximum fwhm
+ *   TABLE     piecewise-linear in 'table', held at the end values
+ */
+export function sourceValue(wave, t) {
+    switch (wave.shape) {
+        case 'STEP':
+            return (t < wave.t0) ? 0.0 : wave.amplitude;
+        case 'RAMP':
+            if (t < wave.t0) return 0.0;
+            return wave.amplitude * Math.min(1.0, (t - wave.t0) / wave.tRise);
+        case 'SINE':
+            if (t < wave.t0) return 0.0;
+            return wave.amplitude * Math.sin(2 * Math.PI * wave.frequency * (t - wave.t0) + wave.phase);
+        case 'DEXP': {
+            if (t < wave.t0) return 0.0;
+            const tau = t - wave.t0;
+            return wave.amplitude * wave.norm * (Math.exp(-tau / wave.tauFall) - Math.exp(-tau / wave.tauRise));
+        }
+        case 'GAUSSIAN': {
+            const u = (t - wave.tPeak) / wave.fwhm;
+            return wave.amplitude * Math.exp(-4 * Math.LN2 * u * u);
+        }
+        case 'TABLE':
+            return interpolate(wave.table, t);
+    }
+    return 0.0;
+}
+
+/**
+ * Scale factor that brings exp(-t/tauFall) - exp(-t/tauRise) to a peak of 1
+ * (tauFall > tauRise).
+ */
+export function doubleExponentialNorm(tauFall, tauRise) {
+    const tPeak = Math.log(tauFall / tauRise) * tauFall * tauRise / (tauFall - tauRise);
+    return 1.0 / (Math.exp(-tPeak / tauFall) - Math.exp(-tPeak / tauRise));
+}
+
+/**
+ * Piecewise-linear interpolation of a {x, y} table.
+ * Clamps to the end values outside the table.
+ */
+export function interpolate(table, x) {
+    const xs = table.x;
+    const ys = table.y;
+    if (xs.length === 0) return 0.0;
+    if (x <= xs[0]) return ys[0];
+    const last = xs.length - 1;
+    if (x >= xs[last]) return ys[last];
+
+    // First abscissa at or beyond x (measured waveforms can be long)
+    let lo = 1, hi = last;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (xs[mid] < x) lo = mid + 1;
+        else hi = mid;
+    }
+    const f = (x - xs[lo-1]) / (xs[lo] - xs[lo-1]);
+    return ys[lo-1] + (ys[lo] - ys[lo-1]) * f;
+}
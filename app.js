@@ -3,35 +3,77 @@
  * Main UI Controller.
  */
 
+import { CircuitCompiler } from './Core/topology.js';
+import { runSeed } from './Core/random.js';
+import { describe, envelope } from './Core/statistics.js';
+import { CHECKPOINT_FORMAT } from './Core/simulation.js';
+import { EXPORT_FORMATS } from './Core/export.js';
+import { SweepPool, sweepJobs, formatSweepValue } from './sweep.js';
+
 let worker = null;
 let generatedFiles = [];
 
+// Active parametric sweep or Monte Carlo series, if any
+let sweepPool = null;
+
+// Loaded checkpoint; while set, every run continues from it
+let pendingCheckpoint = null;
+
+// Plot trace index of each probe streamed so far in the current run
+let liveTraces = {};
+
 const btnRun = document.getElementById('btnRun');
 const btnDownload = document.getElementById('btnDownload');
+const btnPause = document.getElementById('btnPause');
+const btnCheckpoint = document.getElementById('btnCheckpoint');
+const btnLoadCheckpoint = document.getElementById('btnLoadCheckpoint');
+const checkpointFile = document.getElementById('checkpointFile');
 const editor = document.getElementById('codeEditor');
 const logArea = document.getElementById('logArea');
 const statusBox = document.getElementById('statusBox');
 const plotDiv = document.getElementById('plotArea');
 const exampleSelector = document.getElementById('exampleSelector');
+const highlightLayer = document.getElementById('editorHighlights');
+const summaryDiv = document.getElementById('sweepSummary');
+const exportOptions = document.getElementById('exportOptions');
+
+// Diagnostics from the last compile, kept for re-drawing line highlights
+let currentDiagnostics = [];
 
 function init() {
     worker = new Worker('worker.js', { type: 'module' });
     
     worker.onmessage = (e) => {
-        const { type, msg, pct, data, files } = e.data;
+        const { type, msg, pct, data, files, file, time, diagnostics } = e.data;
         
         switch(type) {
             case 'LOG':
                 log(msg);
                 break;
+            case 'DIAGNOSTICS':
+                showDiagnostics(diagnostics);
+                break;
             case 'ERROR':
                 log(msg, 'error');
                 statusBox.textContent = 'Error';
                 btnRun.disabled = false;
+                btnRun.textContent = "RUN SIMULATION";
+                setPauseButton(false);
                 break;
             case 'PROGRESS':
                 statusBox.textContent = `Running: ${pct}%`;
                 break;
+            case 'PAUSED':
+                statusBox.textContent = `Paused at ${time.toExponential(3)}s`;
+                btnPause.textContent = "RESUME";
+                break;
+            case 'CHECKPOINT':
+                downloadFile(file);
+                log(`Checkpoint saved at t=${time.toExponential(3)}s (${file.name})`);
+                break;
+            case 'PLOT_POINTS':
+                extendPlots(data);
+                break;
             case 'PLOT_DATA':
                 renderPlots(data);
                 break;
@@ -41,6 +83,7 @@ function init() {
                 statusBox.textContent = 'Done';
                 btnRun.disabled = false;
                 btnRun.textContent = "RUN SIMULATION";
+                setPauseButton(false);
                 log(`Generated ${files.length} output files.`);
                 break;
         }
@@ -58,39 +101,139 @@ function init() {
 
 btnRun.addEventListener('click', () => {
     if (btnRun.textContent === "STOP") {
-        worker.postMessage({ command: 'STOP' });
+        if (sweepPool) {
+            sweepPool.stop();
+            sweepPool = null;
+        } else {
+            worker.postMessage({ command: 'STOP' });
+        }
         btnRun.textContent = "RUN SIMULATION";
         statusBox.textContent = "Stopped";
+        setPauseButton(false);
         return;
     }
 
     logArea.innerHTML = '';
+    showDiagnostics([]);
+    renderTable(null);
     btnDownload.disabled = true;
+    btnCheckpoint.disabled = true;
     generatedFiles = [];
+
+    // SWEEP and MONTECARLO fan the deck out over the worker pool instead
+    const config = new CircuitCompiler().compile(editor.value);
+    if (config.sweep || config.monteCarlo) {
+        if (config.diagnostics.some(d => d.severity === 'error')) {
+            showDiagnostics(config.diagnostics);
+            statusBox.textContent = 'Error';
+            return;
+        }
+        if (config.monteCarlo && pendingCheckpoint) {
+            log('A Monte Carlo series cannot start from a checkpoint; clear it first.', 'error');
+            statusBox.textContent = 'Error';
+            return;
+        }
+        if (config.monteCarlo) startMonteCarlo(config.monteCarlo);
+        else startSweep(config.sweep);
+        return;
+    }
+
     btnRun.textContent = "STOP";
     statusBox.textContent = "Starting...";
+    setPauseButton(true);
+    btnCheckpoint.disabled = false;
+    liveTraces = {};
+    renderPlots({});
     
     worker.postMessage({ 
         command: 'START', 
-        payload: editor.value 
+        payload: editor.value,
+        checkpoint: pendingCheckpoint || undefined,
+        exports: selectedExports()
     });
 });
 
+btnPause.addEventListener('click', () => {
+    if (btnPause.textContent === "PAUSE") {
+        worker.postMessage({ command: 'PAUSE' });
+    } else {
+        worker.postMessage({ command: 'RESUME' });
+        btnPause.textContent = "PAUSE";
+        statusBox.textContent = "Running...";
+    }
+});
+
+btnCheckpoint.addEventListener('click', () => {
+    worker.postMessage({ command: 'CHECKPOINT' });
+});
+
+// Load Checkpoint / Clear Checkpoint
+btnLoadCheckpoint.addEventListener('click', () => {
+    if (pendingCheckpoint) {
+        pendingCheckpoint = null;
+        btnLoadCheckpoint.textContent = "Load Checkpoint";
+        log('Checkpoint cleared; runs start from t=0 again.');
+        return;
+    }
+    checkpointFile.click();
+});
+
+checkpointFile.addEventListener('change', async () => {
+    const file = checkpointFile.files[0];
+    checkpointFile.value = '';
+    if (!file) return;
+    try {
+        const cp = JSON.parse(await file.text());
+        if (cp.format !== CHECKPOINT_FORMAT) throw new Error('not a WebScreamer checkpoint');
+        pendingCheckpoint = cp;
+        // The deck it was saved with; edit its tail to branch off
+        editor.value = cp.deck;
+        btnLoadCheckpoint.textContent = "Clear Checkpoint";
+        log(`Loaded checkpoint at t=${cp.time.toExponential(3)}s from ${file.name}. Runs continue from it until cleared.`);
+    } catch (err) {
+        log(`Cannot load ${file.name}: ${err.message}`, 'error');
+    }
+});
+
 btnDownload.addEventListener('click', () => {
     if (generatedFiles.length === 0) return;
-    
-    generatedFiles.forEach(file => {
-        const url = URL.createObjectURL(file.blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = file.name;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-    });
+    generatedFiles.forEach(downloadFile);
 });
 
+function downloadFile(file) {
+    const url = URL.createObjectURL(file.blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = file.name;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// One checkbox per export format; plain CSV is on by default
+Object.entries(EXPORT_FORMATS).forEach(([format, description]) => {
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.value = format;
+    box.checked = (format === 'csv');
+    label.append(box, ` ${description}`);
+    exportOptions.appendChild(label);
+});
+
+// Formats ticked in the Formats menu (the energy ledger is always written)
+function selectedExports() {
+    const formats = [...exportOptions.querySelectorAll('input:checked')].map(box => box.value);
+    return (formats.length > 0) ? formats : ['csv'];
+}
+
+// PAUSE is only offered while a single run is in progress
+function setPauseButton(enabled) {
+    btnPause.disabled = !enabled;
+    btnPause.textContent = "PAUSE";
+}
+
 exampleSelector.addEventListener('change', (e) => {
     const key = e.target.value;
     if(key === 'trline') {
@@ -138,10 +281,366 @@ TXT IIN`;
 
 function log(msg, type='info') {
     const div = document.createElement('div');
-    div.className = 'log-line ' + (type === 'error' ? 'log-error' : 'log-success');
+    let cls = 'log-success';
+    if (type === 'error') cls = 'log-error';
+    else if (type === 'warning') cls = 'log-warning';
+    div.className = 'log-line ' + cls;
     div.textContent = `[${new Date().toLocaleTimeString()}] ${msg}`;
     logArea.appendChild(div);
     logArea.scrollTop = logArea.scrollHeight;
+    return div;
+}
+
+/**
+ * Lists compile diagnostics in the log (click to jump to the line)
+ * and marks the offending lines in the editor.
+ */
+function showDiagnostics(diagnostics) {
+    currentDiagnostics = diagnostics;
+    diagnostics.forEach(d => {
+        const div = log(`Line ${d.line}:${d.column} ${d.severity}: ${d.message}`, d.severity);
+        div.classList.add('log-link');
+        div.addEventListener('click', () => selectLine(d.line));
+    });
+    drawHighlights();
+}
+
+function drawHighlights() {
+    highlightLayer.innerHTML = '';
+    if (currentDiagnostics.length === 0) return;
+
+    const style = getComputedStyle(editor);
+    const lineHeight = parseFloat(style.lineHeight);
+    const padTop = parseFloat(style.paddingTop);
+
+    // One mark per line; an error outranks a warning on the same line
+    const marks = new Map();
+    currentDiagnostics.forEach(d => {
+        if (marks.get(d.line) !== 'error') marks.set(d.line, d.severity);
+    });
+
+    marks.forEach((severity, line) => {
+        const mark = document.createElement('div');
+        mark.className = 'line-mark ' + severity;
+        mark.style.top = `${padTop + (line - 1) * lineHeight - editor.scrollTop}px`;
+        mark.style.height = `${lineHeight}px`;
+        highlightLayer.appendChild(mark);
+    });
+}
+
+function selectLine(lineNo) {
+    const lines = editor.value.split('\n');
+    let start = 0;
+    for (let i = 0; i < lineNo - 1 && i < lines.length; i++) {
+        start += lines[i].length + 1;
+    }
+    const end = start + (lines[lineNo - 1] || '').length;
+    editor.focus();
+    editor.setSelectionRange(start, end);
+    const lineHeight = parseFloat(getComputedStyle(editor).lineHeight);
+    editor.scrollTop = Math.max(0, (lineNo - 3) * lineHeight);
+}
+
+editor.addEventListener('scroll', drawHighlights);
+
+// Line numbers go stale as soon as the deck is edited
+editor.addEventListener('input', () => {
+    if (currentDiagnostics.length > 0) {
+        currentDiagnostics = [];
+        drawHighlights();
+    }
+});
+
+/**
+ * Runs the deck once per swept value across a pool of workers, overlaying
+ * every run on the plot and tabulating each probe's peak when all are done.
+ */
+function startSweep(sweep) {
+    const name = sweep.parameter;
+    const tag = (run) => `${name}=${formatSweepValue(run.job.value)}`;
+    btnRun.textContent = "STOP";
+    statusBox.textContent = "Starting...";
+    log(`Sweeping ${name} over ${sweep.values.length} values on ${SweepPool.poolSize(sweep.values.length)} workers`);
+    if (pendingCheckpoint) log(`Every run continues from the checkpoint at t=${pendingCheckpoint.time.toExponential(3)}s`);
+
+    const finished = [];
+    const jobs = sweepJobs(sweep).map(job => ({ ...job, checkpoint: pendingCheckpoint || undefined, exports: selectedExports() }));
+    sweepPool = new SweepPool(editor.value, jobs, {
+        onLog: (run, msg, type) => {
+            // Keep the log readable: only problems and the per-run completion line
+            if (type !== 'info' || msg.startsWith('Simulation complete')) {
+                log(`[${tag(run)}] ${msg}`, type);
+            }
+        },
+        onProgress: (pct) => {
+            statusBox.textContent = `Sweep: ${pct}%`;
+        },
+        onRunDone: (run) => {
+            if (run.error) return;
+            finished.push(run);
+            finished.sort((a, b) => a.index - b.index);
+            renderSweepPlots(tag, finished);
+        },
+        onFinished: (runs) => {
+            sweepPool = null;
+            const done = runs.filter(run => !run.error);
+            const labels = runLabels(done);
+            renderTable(
+                [name, ...labels.flatMap(l => [`peak ${l}`, `t_peak ${l}`])],
+                done.map(run => [
+                    formatSweepValue(run.job.value),
+                    ...labels.flatMap(l => [run.metrics[l].peak.toExponential(3), run.metrics[l].tPeak.toExponential(3)])
+                ])
+            );
+
+            generatedFiles = [];
+            done.forEach(run => {
+                run.files.forEach(file => {
+                    generatedFiles.push({
+                        name: file.name.replace(/(\.\w+)$/, `_${tag(run)}$1`),
+                        blob: file.blob
+                    });
+                });
+            });
+            generatedFiles.push({
+                name: 'sweep_summary.csv',
+                blob: new Blob([metricsCsv([name], done, run => [run.job.value.toExponential(6)])], { type: 'text/csv' })
+            });
+
+            finishRuns(runs, done, 'Sweep');
+        }
+    });
+    sweepPool.start();
+}
+
+/**
+ * Repeats the deck with toleranced values and jitter drawn from a seeded
+ * generator, then plots mean and 5-95% envelopes of every probe and
+ * histograms of the chosen scalar metrics.
+ */
+function startMonteCarlo(mc) {
+    // Without SEED= pick one, and log it so the series can be reproduced
+    const seed = (mc.seed !== null) ? mc.seed : Math.floor(Math.random() * 4294967296);
+    btnRun.textContent = "STOP";
+    statusBox.textContent = "Starting...";
+    log(`Monte Carlo: ${mc.runs} runs, seed ${seed}, on ${SweepPool.poolSize(mc.runs)} workers`);
+
+    const jobs = [];
+    // Per-run files are not requested; the ensemble files replace them
+    for (let k = 0; k < mc.runs; k++) jobs.push({ seed: runSeed(seed, k), exports: [] });
+
+    sweepPool = new SweepPool(editor.value, jobs, {
+        onLog: (run, msg, type) => {
+            if (type !== 'info') log(`[run ${run.index + 1}] ${msg}`, type);
+        },
+        onProgress: (pct) => {
+            statusBox.textContent = `Monte Carlo: ${pct}%`;
+        },
+        onFinished: (runs) => {
+            sweepPool = null;
+            const done = runs.filter(run => !run.error);
+            if (done.length === 0) {
+                statusBox.textContent = 'Error';
+                btnRun.textContent = "RUN SIMULATION";
+                log('Every Monte Carlo run failed.', 'error');
+                return;
+            }
+
+            const labels = runLabels(done);
+            const x = done[0].plots[labels[0]] ? done[0].plots[labels[0]].x : [];
+            const envelopes = {};
+            labels.forEach(l => {
+                envelopes[l] = envelope(done.map(run => run.plots[l].y));
+            });
+            renderEnvelopes(x, envelopes);
+
+            const histograms = mc.histograms.length > 0
+                ? mc.histograms
+                : labels.map(l => ({ label: l, metric: 'PEAK' }));
+            renderMonteCarloSummary(done, labels, histograms);
+
+            generatedFiles = [
+                { name: 'montecarlo_envelopes.csv', blob: new Blob([envelopeCsv(x, envelopes)], { type: 'text/csv' }) },
+                { name: 'montecarlo_runs.csv', blob: new Blob([metricsCsv(['run', 'seed'], done, run => [run.index + 1, run.job.seed])], { type: 'text/csv' }) }
+            ];
+
+            finishRuns(runs, done, 'Monte Carlo');
+        }
+    });
+    sweepPool.start();
+}
+
+// Common UI reset at the end of a sweep or Monte Carlo series
+function finishRuns(runs, done, what) {
+    btnDownload.disabled = false;
+    statusBox.textContent = (done.length === runs.length) ? 'Done' : `Done (${runs.length - done.length} failed)`;
+    btnRun.disabled = false;
+    btnRun.textContent = "RUN SIMULATION";
+    log(`${what} complete. Generated ${generatedFiles.length} output files.`);
+}
+
+// Probe labels shared by a set of runs, in deck order
+function runLabels(runs) {
+    const first = runs.find(run => run.metrics);
+    return first ? Object.keys(first.metrics) : [];
+}
+
+const METRIC_KEYS = { PEAK: 'peak', TPEAK: 'tPeak', FINAL: 'final' };
+
+/**
+ * Overlays the runs of a sweep: one colour per run, one dash style per probe.
+ */
+function renderSweepPlots(tag, runs) {
+    const colors = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd',
+                    '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'];
+    const dashes = ['solid', 'dash', 'dot', 'dashdot'];
+    const traces = [];
+
+    runs.forEach(run => {
+        Object.keys(run.plots).forEach((label, k) => {
+            traces.push({
+                x: run.plots[label].x,
+                y: run.plots[label].y,
+                mode: 'lines',
+                name: `${label} (${tag(run)})`,
+                legendgroup: tag(run),
+                line: { color: colors[run.index % colors.length], dash: dashes[k % dashes.length] }
+            });
+        });
+    });
+
+    Plotly.react(plotDiv, traces, {
+        xaxis: { title: 'Time (s)' },
+        yaxis: { title: 'Magnitude' }
+    });
+}
+
+/**
+ * Mean of each probe with its 5-95% band shaded.
+ */
+function renderEnvelopes(x, envelopes) {
+    const traces = [];
+    Object.keys(envelopes).forEach(label => {
+        const env = envelopes[label];
+        traces.push({ x: x, y: Array.from(env.p5), mode: 'lines', line: { width: 0 },
+                      legendgroup: label, showlegend: false, hoverinfo: 'skip' });
+        traces.push({ x: x, y: Array.from(env.p95), mode: 'lines', line: { width: 0 }, fill: 'tonexty',
+                      name: `${label} 5-95%`, legendgroup: label });
+        traces.push({ x: x, y: Array.from(env.mean), mode: 'lines', name: `${label} mean`, legendgroup: label });
+    });
+
+    Plotly.react(plotDiv, traces, {
+        xaxis: { title: 'Time (s)' },
+        yaxis: { title: 'Magnitude' }
+    });
+}
+
+/**
+ * Statistics table of every probe's metrics plus one histogram per
+ * requested metric.
+ */
+function renderMonteCarloSummary(runs, labels, histograms) {
+    const rows = [];
+    labels.forEach(l => {
+        ['PEAK', 'TPEAK'].forEach(metric => {
+            const d = describe(runs.map(run => run.metrics[l][METRIC_KEYS[metric]]));
+            rows.push([`${l}.${metric}`, ...[d.mean, d.std, d.p5, d.p50, d.p95].map(v => v.toExponential(3))]);
+        });
+    });
+    renderTable(['metric', 'mean', 'std', 'p5', 'p50', 'p95'], rows);
+
+    const charts = document.createElement('div');
+    charts.className = 'histograms';
+    summaryDiv.appendChild(charts);
+    histograms.forEach(h => {
+        const div = document.createElement('div');
+        div.className = 'histogram';
+        charts.appendChild(div);
+        Plotly.newPlot(div, [{
+            x: runs.map(run => run.metrics[h.label][METRIC_KEYS[h.metric]]),
+            type: 'histogram'
+        }], {
+            title: { text: `${h.label}.${h.metric}`, font: { size: 12 } },
+            margin: { t: 30, r: 10, b: 30, l: 40 },
+            bargap: 0.05
+        }, { responsive: true, displayModeBar: false });
+    });
+}
+
+/**
+ * Replaces the summary area with a table. Passing null clears it.
+ */
+function renderTable(headers, rows) {
+    summaryDiv.innerHTML = '';
+    if (!headers || rows.length === 0) return;
+
+    const table = document.createElement('table');
+    const header = table.insertRow();
+    headers.forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        header.appendChild(th);
+    });
+    rows.forEach(cells => {
+        const row = table.insertRow();
+        cells.forEach(text => { row.insertCell().textContent = text; });
+    });
+    summaryDiv.appendChild(table);
+}
+
+/**
+ * One row per run: the leading columns from 'lead', then peak, time of
+ * peak and final value of every probe.
+ */
+function metricsCsv(leadHeaders, runs, lead) {
+    const labels = runLabels(runs);
+    const headers = [...leadHeaders, ...labels.flatMap(l => [`peak_${l}`, `t_peak_${l}`, `final_${l}`])];
+    let csv = headers.join(',') + '\n';
+    runs.forEach(run => {
+        const row = lead(run);
+        labels.forEach(l => {
+            const m = run.metrics[l];
+            row.push(m.peak.toExponential(6), m.tPeak.toExponential(6), m.final.toExponential(6));
+        });
+        csv += row.join(',') + '\n';
+    });
+    return csv;
+}
+
+function envelopeCsv(x, envelopes) {
+    const labels = Object.keys(envelopes);
+    const stats = ['mean', 'std', 'p5', 'p50', 'p95'];
+    const headers = ['Time(s)', ...labels.flatMap(l => stats.map(st => `${l}_${st}`))];
+    let csv = headers.join(',') + '\n';
+    const len = labels.length > 0 ? envelopes[labels[0]].mean.length : 0;
+    for (let i = 0; i < len; i++) {
+        const row = [x[i].toExponential(6)];
+        labels.forEach(l => {
+            stats.forEach(st => row.push(envelopes[l][st][i].toExponential(6)));
+        });
+        csv += row.join(',') + '\n';
+    }
+    return csv;
+}
+
+/**
+ * Appends streamed points to the live traces, adding a trace for each
+ * probe the first time it appears.
+ */
+function extendPlots(points) {
+    const update = { x: [], y: [] };
+    const indices = [];
+    Object.keys(points).forEach(name => {
+        if (liveTraces[name] === undefined) {
+            liveTraces[name] = plotDiv.data.length;
+            Plotly.addTraces(plotDiv, { x: points[name].x, y: points[name].y, mode: 'lines', name: name });
+            return;
+        }
+        update.x.push(points[name].x);
+        update.y.push(points[name].y);
+        indices.push(liveTraces[name]);
+    });
+    if (indices.length > 0) Plotly.extendTraces(plotDiv, update, indices);
 }
 
 function renderPlots(datasets) {
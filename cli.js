@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * cli.js
+ * Headless runner: compiles and runs a deck under Node and writes the same
+ * result files as the browser worker.
+ *
+ *   node cli.js deck.txt --out results.csv [--json summary.json]
+ *   node cli.js deck.txt --format binary --out results.bin
+ *   node cli.js variant.txt --resume prepulse.json --out variant.csv
+ *
+ * Exit codes: 0 success, 1 deck errors or a failed run, 2 bad usage.
+ */
+
+import { readFileSync, writeFileSync, openSync, writeSync, closeSync } from 'node:fs';
+import { CircuitCompiler } from './Core/topology.js';
+import { Simulation, formatLedger } from './Core/simulation.js';
+import { createRandom } from './Core/random.js';
+import { describeTimeBase } from './Core/timestep.js';
+import { EXPORT_FORMATS, exportRun } from './Core/export.js';
+
+const USAGE = `Usage: node cli.js <deck> [options]
+
+Options:
+  --out <file>         Write the results to <file> ('-' for stdout).
+                       Default: stdout, unless --json is writing there.
+  --format <format>    Format of --out: csv (default, 7 significant
+                       digits), csv-full, json, binary, or probes (one CSV
+                       per probe, named <file>_<label>.csv).
+  --json [file]        Write a JSON summary (peak, time of peak and final
+                       value of every probe, and the energy ledger) to
+                       [file], or stdout.
+  --param NAME=value   Override a PARAMETER the deck declares (repeatable).
+  --seed <n>           Run one Monte Carlo draw of the deck with seed <n>.
+  --checkpoint <file>  Save the state at End-time to <file>.
+  --resume <file>      Continue a checkpoint with this deck (which may
+                       differ after the checkpointed part, e.g. a new load).
+  --quiet              Only print errors.
+  --help               Show this message.`;
+
+function parseArgs(argv) {
+    const args = { deck: null, out: null, format: 'csv', json: null, parameters: {}, seed: undefined, quiet: false,
+                   checkpoint: null, resume: null };
+    for (let k = 0; k < argv.length; k++) {
+        const arg = argv[k];
+        const value = () => {
+            if (k + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++k];
+        };
+        if (arg === '--help' || arg === '-h') args.help = true;
+        else if (arg === '--out' || arg === '-o') args.out = value();
+        else if (arg === '--format') {
+            args.format = value();
+            if (!(args.format in EXPORT_FORMATS)) {
+                throw new Error(`--format expects one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+            }
+        }
+        else if (arg === '--json') {
+            // The file name is optional
+            const next = argv[k + 1];
+            args.json = (next !== undefined && (next === '-' || !next.startsWith('-'))) ? argv[++k] : '-';
+        }
+        else if (arg === '--param') {
+            const spec = value();
+            const eq = spec.indexOf('=');
+            const v = Number(spec.slice(eq + 1));
+            if (eq <= 0 || spec.slice(eq + 1) === '' || !isFinite(v)) {
+                throw new Error(`--param expects NAME=number, got '${spec}'`);
+            }
+            args.parameters[spec.slice(0, eq).toUpperCase()] = v;
+        }
+        else if (arg === '--seed') {
+            args.seed = Number(value());
+            if (!Number.isInteger(args.seed)) throw new Error('--seed expects a whole number');
+        }
+        else if (arg === '--checkpoint') args.checkpoint = value();
+        else if (arg === '--resume') args.resume = value();
+        else if (arg === '--quiet' || arg === '-q') args.quiet = true;
+        else if (arg.startsWith('-') && arg !== '-') throw new Error(`Unknown option ${arg}`);
+        else if (args.deck === null) args.deck = arg;
+        else throw new Error(`Unexpected argument ${arg}`);
+    }
+    if (!args.help && args.deck === null) throw new Error('No deck file given');
+    if (args.out === null) args.out = (args.json === '-') ? null : '-';
+    if (args.out === '-' && args.json === '-') throw new Error('--out and --json cannot both write to stdout');
+    if (args.format === 'probes' && args.out === '-') throw new Error('--format probes needs an --out file name');
+    return args;
+}
+
+function write(target, text) {
+    if (target === '-') process.stdout.write(text);
+    else writeFileSync(target, text);
+}
+
+// Writes an export's parts (strings and typed arrays) one after another
+function writeParts(target, parts) {
+    const bytes = (part) => (typeof part === 'string') ? part : new Uint8Array(part.buffer, part.byteOffset, part.byteLength);
+    if (target === '-') {
+        parts.forEach(part => process.stdout.write(bytes(part)));
+        return;
+    }
+    const fd = openSync(target, 'w');
+    try {
+        parts.forEach(part => writeSync(fd, bytes(part)));
+    } finally {
+        closeSync(fd);
+    }
+}
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (err) {
+        console.error(`cli.js: ${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    const info = (msg) => { if (!args.quiet) console.error(msg); };
+
+    let scriptText;
+    try {
+        scriptText = readFileSync(args.deck, 'utf8');
+    } catch (err) {
+        console.error(`cli.js: cannot read ${args.deck}: ${err.message}`);
+        return 1;
+    }
+
+    const compiler = new CircuitCompiler();
+    if (args.seed !== undefined) {
+        compiler.random = createRandom(args.seed);
+        compiler.sampleTolerances = true;
+    }
+    const config = compiler.compile(scriptText, args.parameters);
+
+    // file:line:column: severity: message, as compilers print them
+    config.diagnostics.forEach(d => {
+        if (d.severity === 'error' || !args.quiet) {
+            console.error(`${args.deck}:${d.line}:${d.column}: ${d.severity}: ${d.message}`);
+        }
+    });
+    const errorCount = config.diagnostics.filter(d => d.severity === 'error').length;
+    if (errorCount > 0) {
+        console.error(`Deck has ${errorCount} error(s); run aborted.`);
+        return 1;
+    }
+    // An override the deck never reads is most likely a misspelt name
+    const unknown = Object.keys(args.parameters).filter(name => !(name in compiler.parameters));
+    if (unknown.length > 0) {
+        console.error(`cli.js: --param ${unknown[0]}: ${args.deck} declares no PARAMETER ${unknown[0]}`);
+        return 2;
+    }
+    if (config.sweep) info('Note: SWEEP is ignored by the CLI; use --param to set the value of each run.');
+    if (config.monteCarlo) info('Note: MONTECARLO is ignored by the CLI; use --seed to run one draw.');
+
+    info(`Compiled: ${config.nodes.length} nodes (Real + Phantom)`);
+    info(`Time Step: ${describeTimeBase(config.schedule, config.adaptive)}`);
+
+    const startTime = performance.now();
+    const sim = new Simulation(config);
+    try {
+        if (args.resume !== null) {
+            const r = sim.restore(JSON.parse(readFileSync(args.resume, 'utf8')));
+            info(`Resuming from checkpoint at t=${r.time.toExponential(3)}s (${r.nodes} of ${config.nodes.length} nodes restored)`);
+            if (r.newProbes.length > 0) info(`New probes start at the checkpoint: ${r.newProbes.join(', ')}`);
+        } else {
+            sim.recordInitial();
+        }
+        while (!sim.advance(5000)) {
+            sim.drainEvents().forEach(ev => info(ev.msg));
+        }
+        sim.drainEvents().forEach(ev => info(ev.msg));
+    } catch (err) {
+        console.error(`Simulation failed: ${err.message}`);
+        return 1;
+    }
+    info(`Simulation complete in ${(performance.now() - startTime).toFixed(2)}ms (${sim.steps} steps)`);
+    const ledger = sim.energyLedger();
+    formatLedger(ledger).forEach(line => info(line));
+
+    if (args.checkpoint !== null) {
+        const cp = sim.checkpoint({ deck: scriptText, parameters: compiler.parameters, seed: args.seed });
+        writeFileSync(args.checkpoint, JSON.stringify(cp));
+        info(`Wrote checkpoint at t=${cp.time.toExponential(3)}s to ${args.checkpoint}`);
+    }
+    if (args.out !== null) {
+        const files = exportRun(sim, args.format, { deck: scriptText, parameters: compiler.parameters, seed: args.seed });
+        if (args.format === 'probes') {
+            // probe_<label>.csv becomes <out>_<label>.csv
+            const base = args.out.replace(/\.csv$/i, '');
+            files.forEach(file => {
+                const target = `${base}_${file.name.replace(/^probe_/, '')}`;
+                writeParts(target, file.parts);
+                info(`Wrote ${target}`);
+            });
+        } else {
+            writeParts(args.out, files[0].parts);
+            if (args.out !== '-') info(`Wrote ${args.out}`);
+        }
+    }
+    if (args.json !== null) {
+        const summary = {
+            deck: args.deck,
+            nodes: config.nodes.length,
+            dt: config.dt,
+            t_end: config.t_end,
+            steps: sim.steps,
+            schedule: config.schedule,
+            adaptive: config.adaptive,
+            parameters: compiler.parameters,
+            seed: args.seed,
+            stopped: sim.stopped,
+            probes: sim.summarize(),
+            energy: ledger
+        };
+        write(args.json, JSON.stringify(summary, null, 2) + '\n');
+        if (args.json !== '-') info(`Wrote ${args.json}`);
+    }
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
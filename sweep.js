@@ -0,0 +1,147 @@
+/**
+ * sweep.js
+ * Multi-run driver for parametric sweeps and Monte Carlo series.
+ * Reruns one deck once per job, spreading the runs over a pool of
+ * worker.js threads. Each run is an ordinary simulation with some
+ * PARAMETERs overridden or a random seed set.
+ */
+
+/** One job per swept value: { value, parameters }. */
+export function sweepJobs(sweep) {
+    return sweep.values.map(value => ({
+        value: value,
+        parameters: { [sweep.parameter.toUpperCase()]: value }
+    }));
+}
+
+export class SweepPool {
+    /**
+     * jobs: [{ parameters?, seed?, checkpoint?, exports?, ... }], forwarded to worker.js as START
+     * options; other fields are kept on run.job for the caller. Pooled runs
+     * do not stream plot points; only each run's final plot is kept.
+     * exports: [] asks a run for no result files.
+     * handlers (all optional):
+     *   onLog(run, msg, type)  worker log line for one run
+     *   onProgress(pct)        overall progress, 0-100
+     *   onRunDone(run)         a run finished (run.error is set on failure)
+     *   onFinished(runs)       every run has finished
+     */
+    constructor(scriptText, jobs, handlers = {}) {
+        this.scriptText = scriptText;
+        this.handlers = handlers;
+        this.runs = jobs.map((job, index) => ({
+            index: index,
+            job: job,
+            pct: 0,
+            plots: null,
+            metrics: null,
+            files: [],
+            error: null
+        }));
+        this.workers = [];
+        this.queue = [];
+        this.remaining = 0;
+    }
+
+    /** Number of workers to use: leave one core for the UI thread. */
+    static poolSize(runCount) {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.max(1, Math.min(runCount, cores - 1, 8));
+    }
+
+    start() {
+        this.queue = this.runs.slice();
+        this.remaining = this.runs.length;
+        const size = SweepPool.poolSize(this.runs.length);
+        for (let k = 0; k < size; k++) {
+            const worker = new Worker('worker.js', { type: 'module' });
+            this.workers.push(worker);
+            this.dispatch(worker);
+        }
+    }
+
+    /** Terminates every worker; unfinished runs are abandoned. */
+    stop() {
+        this.workers.forEach(w => w.terminate());
+        this.workers = [];
+        this.queue = [];
+    }
+
+    /** Hands the next queued run to a worker, or retires the worker. */
+    dispatch(worker) {
+        const run = this.queue.shift();
+        if (!run) {
+            worker.terminate();
+            this.workers = this.workers.filter(w => w !== worker);
+            return;
+        }
+
+        worker.onmessage = (e) => this.handleMessage(worker, run, e.data);
+        worker.postMessage({
+            command: 'START',
+            payload: this.scriptText,
+            parameters: run.job.parameters,
+            seed: run.job.seed,
+            checkpoint: run.job.checkpoint,
+            exports: run.job.exports,
+            stream: false
+        });
+    }
+
+    handleMessage(worker, run, message) {
+        const { type, msg, pct, data, files, metrics, diagnostics } = message;
+        const h = this.handlers;
+
+        switch(type) {
+            case 'LOG':
+                if (h.onLog) h.onLog(run, msg, 'info');
+                break;
+            case 'DIAGNOSTICS':
+                if (h.onLog) {
+                    diagnostics.forEach(d => h.onLog(run, `Line ${d.line}:${d.column} ${d.severity}: ${d.message}`, d.severity));
+                }
+                break;
+            case 'PROGRESS':
+                run.pct = pct;
+                this.reportProgress();
+                break;
+            case 'PLOT_DATA':
+                run.plots = data;
+                break;
+            case 'SUMMARY':
+                run.metrics = metrics;
+                break;
+            case 'ERROR':
+                run.error = msg;
+                if (h.onLog) h.onLog(run, msg, 'error');
+                this.complete(worker, run);
+                break;
+            case 'CSV_READY':
+                run.files = files;
+                this.complete(worker, run);
+                break;
+        }
+    }
+
+    complete(worker, run) {
+        run.pct = 100;
+        this.remaining--;
+        this.reportProgress();
+        if (this.handlers.onRunDone) this.handlers.onRunDone(run);
+        this.dispatch(worker);
+        if (this.remaining === 0 && this.handlers.onFinished) {
+            this.handlers.onFinished(this.runs);
+        }
+    }
+
+    reportProgress() {
+        if (!this.handlers.onProgress) return;
+        const total = this.runs.reduce((sum, run) => sum + run.pct, 0);
+        this.handlers.onProgress(Math.round(total / this.runs.length));
+    }
+}
+
+/** Short label for a swept value, e.g. 2.5e-8 or 0.15. */
+export function formatSweepValue(value) {
+    return String(Number(value.toPrecision(4)));
+}
@@ -0,0 +1,65 @@
+/**
+ * Side branches: a resistive split checked by Kirchhoff's laws, and two
+ * parallel modules against the single RLC circuit they are equivalent to.
+ */
+
+import { test } from 'node:test';
+import { runDeck, assertClose } from './helpers.js';
+
+test('a side branch takes its share of the junction current', () => {
+    // 1 ohm feed from a stiff 1 kV bank into 3 ohm (branch) || 6 ohm (main):
+    // the junction sits at 1000 * 2 / 3 V
+    const run = runDeck(`
+Time-step 1n
+End-time 200n
+RCGround 1e12 1
+Initial VC1 1000
+RLSeries 1 1n
+TXT IFEED
+BRANCH
+RLSeries 0 1n
+TXT ISIDE
+RCGround 3 0
+END BRANCH
+RCGround 6 0
+TXT VJ
+TXT IMAIN
+`);
+    const vJ = 1000 * 2 / 3;
+    assertClose(run.at('VJ', 150e-9), vJ, 0.1, 'junction voltage');
+    assertClose(run.at('ISIDE', 150e-9), vJ / 3, 0.05, 'side branch current');
+    assertClose(run.at('IMAIN', 150e-9), vJ / 6, 0.05, 'main load current');
+    assertClose(run.at('IFEED', 150e-9), vJ / 2, 0.05, 'feed current');
+});
+
+test('two parallel modules discharge like one module of twice the capacitance', () => {
+    // Each module: 100 nF behind 0.1 ohm and 1 uH. Together: 200 nF behind
+    // 0.05 ohm and 0.5 uH, ringing into the common 1 ohm load.
+    const run = runDeck(`
+Time-step 1n
+End-time 4u
+BRANCH
+RCGround 1e12 100n
+Initial VC1 1000
+RLSeries 0.1 1u
+BRANCH
+RLSeries 0.1 1u
+TXT ISIDE
+RCGround 1e12 100n
+Initial VC2 1000
+END BRANCH
+RCGround 1 0
+TXT VLOAD
+`);
+    const R = 1.05, L = 0.5e-6, C = 200e-9;
+    const alpha = R / (2 * L);
+    const wd = Math.sqrt(1 / (L * C) - alpha * alpha);
+    const current = (t) => 1000 / (wd * L) * Math.exp(-alpha * t) * Math.sin(wd * t);
+
+    // 1% of the first peak (~250 A)
+    for (const t of [0.2e-6, 0.5e-6, 1e-6, 1.5e-6, 2.5e-6]) {
+        assertClose(run.at('VLOAD', t), current(t), 2.5, `VLOAD at ${t}s`);
+        // The side module feeds half of it, out of the branch into the junction
+        assertClose(run.at('ISIDE', t), -current(t) / 2, 1.25, `ISIDE at ${t}s`);
+    }
+});
@@ -0,0 +1,105 @@
+/**
+ * Checkpoints: continuing a saved run, and branching off with an edited
+ * deck tail.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../Core/simulation.js';
+import { CircuitCompiler } from '../Core/topology.js';
+import { createRandom } from '../Core/random.js';
+import { compileDeck } from './helpers.js';
+
+const DECK = `
+Time-step 1n
+End-time 2u
+BRANCH
+RCGround 1e12 100n NAME=BANK
+Initial BANK 1000
+RLSeries 0.1 1u
+BRANCH
+RLSeries 0.1 1u
+RCGround 1e12 100n
+Initial VC1 1000
+END BRANCH
+SWITCH Rompe-Weizel 1e8 0.01 500 0.01 1
+RCGround 1 0
+TXT IIN
+`;
+
+// Runs 'steps' steps, then saves a checkpoint through a JSON round trip
+function checkpointAfter(deck, steps) {
+    const sim = new Simulation(compileDeck(deck));
+    sim.recordInitial();
+    sim.advance(steps);
+    return JSON.parse(JSON.stringify(sim.checkpoint({ deck })));
+}
+
+test('a run continued from a checkpoint matches an uninterrupted one', () => {
+    const whole = new Simulation(compileDeck(DECK));
+    whole.recordInitial();
+    whole.advance(Infinity);
+
+    const resumed = new Simulation(compileDeck(DECK));
+    const info = resumed.restore(checkpointAfter(DECK, 700));
+    assert.equal(info.nodes, resumed.config.nodes.length);
+    resumed.advance(Infinity);
+
+    assert.deepEqual(Array.from(resumed.trace('IIN')), Array.from(whole.trace('IIN')));
+    assert.deepEqual(resumed.energyLedger(), whole.energyLedger());
+});
+
+test('a modified deck tail keeps the checkpointed state up to the change', () => {
+    const cp = checkpointAfter(DECK, 700);
+    const variant = DECK.replace('RCGround 1 0\nTXT IIN', 'RCGround 2 0\nTXT IIN\nTXT VLOAD')
+                        .replace('End-time 2u', 'End-time 3u');
+    const sim = new Simulation(compileDeck(variant));
+    const info = sim.restore(cp);
+
+    // Every node matches in kind; only the load resistance differs
+    assert.equal(info.nodes, sim.config.nodes.length);
+    assert.deepEqual(info.newProbes, ['VLOAD']);
+    sim.advance(Infinity);
+
+    const time = sim.time;
+    assert.ok(Math.abs(time[time.length - 1] - 3e-6) < 1e-12, 'runs to the new End-time');
+    const vload = sim.trace('VLOAD');
+    assert.ok(Number.isNaN(vload[0]), 'no VLOAD history before the checkpoint');
+    assert.ok(Number.isFinite(vload[vload.length - 1]));
+    // The recorded history up to the checkpoint is the original one
+    assert.equal(sim.trace('IIN')[600], cp.recording.traces.IIN[600]);
+});
+
+test('restore rejects anything but a checkpoint', () => {
+    const sim = new Simulation(compileDeck(DECK));
+    assert.throws(() => sim.restore({ format: 'other' }), /Not a WebScreamer checkpoint/);
+});
+
+test('a checkpoint keeps the jittered firing delay', () => {
+    const deck = `
+Time-step 1n
+End-time 400n
+VSOURCE RAMP 1000 200n R=1
+SWITCH Voltage 1e8 0.01 500 50n 20n
+RCGround 1 0
+TXT ISW
+`;
+    const compiler = new CircuitCompiler();
+    compiler.random = createRandom(7);
+    compiler.sampleTolerances = true;
+    const drawn = new Simulation(compiler.compile(deck));
+    const tDelay = drawn.config.nodes.find(node => node.isSwitch).switchParams.tDelay;
+    assert.notEqual(tDelay, 50e-9);
+    // Saved before the switch breaks down (at about 100 ns)
+    drawn.recordInitial();
+    drawn.advance(10);
+    const cp = JSON.parse(JSON.stringify(drawn.checkpoint({ deck })));
+    drawn.advance(Infinity);
+
+    // Compiled again without the generator: the delay is the nominal one
+    // until the checkpoint brings back the draw
+    const resumed = new Simulation(compileDeck(deck));
+    resumed.restore(cp);
+    resumed.advance(Infinity);
+    assert.deepEqual(Array.from(resumed.trace('ISW')), Array.from(drawn.trace('ISW')));
+});
@@ -0,0 +1,46 @@
+/**
+ * The headless runner's handling of parameter overrides.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+function runCli(deck, ...args) {
+    const dir = mkdtempSync(join(tmpdir(), 'webscreamer-cli-'));
+    try {
+        const file = join(dir, 'deck.txt');
+        writeFileSync(file, deck);
+        return spawnSync(process.execPath, [CLI, file, '--json', '--quiet', ...args], { encoding: 'utf8' });
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const DECK = `
+PARAMETER R_LOAD 2
+Time-step 1n
+End-time 10n
+RCGround 1e12 1u
+Initial VC1 1000
+RCGround R_LOAD 0
+TXT VLOAD
+`;
+
+test('--param overrides a declared PARAMETER', () => {
+    const result = runCli(DECK, '--param', 'r_load=4');
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(JSON.parse(result.stdout).parameters.R_LOAD, 4);
+});
+
+test('--param naming an undeclared parameter is a usage error', () => {
+    const result = runCli(DECK, '--param', 'R_LAOD=4');
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /--param R_LAOD: .* declares no PARAMETER R_LAOD/);
+});
@@ -0,0 +1,88 @@
+/**
+ * DEFINE subcircuits and the MARX block expand to ordinary deck lines.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitCompiler } from '../Core/topology.js';
+import { compileDeck, runDeck, assertClose } from './helpers.js';
+
+// Node lists and blocks, without anything that depends on the call site
+const layout = (config) => ({ nodes: config.nodes, blocks: config.blocks });
+
+test('a subcircuit call builds the same circuit as its lines written out', () => {
+    const called = compileDeck(`
+PARAMETER L_stray 20n
+DEFINE MODULE (C, V0, L, BANK)
+RCGround 1e12 C NAME=BANK
+Initial BANK V0
+RLSeries 0.1 L+L_stray
+TXT IBANK BANK
+END DEFINE
+MODULE 1u 10k 100n B1
+MODULE 2u L=50n*2 V0=20k BANK=B2
+RCGround 1 0
+`);
+    const written = compileDeck(`
+PARAMETER L_stray 20n
+RCGround 1e12 1u NAME=B1
+Initial B1 10k
+RLSeries 0.1 (100n)+L_stray
+TXT IBANK B1
+RCGround 1e12 2u NAME=B2
+Initial B2 20k
+RLSeries 0.1 (50n*2)+L_stray
+TXT IBANK B2
+RCGround 1 0
+`);
+    assert.deepEqual(layout(called), layout(written));
+    assert.deepEqual(called.outputRequests.map(r => r.label), ['IBANK', 'IBANK_1']);
+});
+
+test('MARX is its erected equivalent', () => {
+    const marx = compileDeck(`
+MARX 10 100n 50k 50n 0.05 Rompe-Weizel 1e9 0.01 60k 5m 2 NAME=GEN
+RCGround 5 0
+`);
+    const written = compileDeck(`
+RCGround 1e12 10n NAME=GEN
+Initial GEN 500k
+RLSeries 0.5 500n NAME=GEN_L
+SWITCH Rompe-Weizel 1e10 0.1 600k 50m 2 NAME=GEN_SW
+RCGround 5 0
+`);
+    assert.deepEqual(layout(marx), layout(written));
+});
+
+test('an erected MARX stores the energy of its stages', () => {
+    const run = runDeck(`
+Time-step 1n
+End-time 2u
+MARX 4 1u 10k 0 0.5 Instant 1e9 0 0 NAME=GEN
+RCGround 0 0
+TXT VGEN GEN
+`);
+    const t = run.sim.energyLedger().totals;
+    assertClose(t.initial, 4 * 0.5 * 1e-6 * 10e3 * 10e3, 1e-3, 'stored in the stages');
+    // 250 nF at 40 kV through 2 ohm
+    assertClose(run.at('VGEN', 0.5e-6), 40e3 * Math.exp(-0.5e-6 / 0.5e-6), 100, 'erected voltage');
+});
+
+test('DEFINE and MARX errors are reported', () => {
+    const check = (deck, pattern) => {
+        const config = new CircuitCompiler().compile(deck);
+        assert.ok(config.diagnostics.some(d => d.severity === 'error' && pattern.test(d.message)), deck);
+    };
+    const STAGE = 'DEFINE STAGE (C, L)\nRCGround 1e12 C\nRLSeries 0 L\nEND DEFINE\n';
+    check(STAGE + 'STAGE 1u', /Missing L for STAGE/);
+    check(STAGE + 'STAGE 1u 1n 1', /STAGE takes 2 argument/);
+    check(STAGE + 'STAGE 1u 1n R=1', /STAGE has no parameter R/);
+    check(STAGE + 'STAGE 1u -1n', /L must not be negative \(in STAGE at line 5\)/);
+    check(STAGE + STAGE, /Duplicate DEFINE: STAGE/);
+    check('DEFINE RCGX (C)\nEND DEFINE', /deck keyword/);
+    check('DEFINE MUTUAL (X)\nRLSeries 0 X\nEND DEFINE', /'MUTUAL' is a deck keyword/);
+    check('DEFINE LOOP\nLOOP\nEND DEFINE\nLOOP', /nests more than/);
+    check('DEFINE OPEN (C)\nRCGround 1e12 C', /DEFINE OPEN is not closed/);
+    check('MARX 2.5 1u 1k 0 0 Instant 1e9 0 0', /whole number/);
+    check('MARX 4 1u 1k 0 0 Spark 1e9 0 0', /Unknown SWITCH type: Spark/);
+});
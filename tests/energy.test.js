@@ -0,0 +1,51 @@
+/**
+ * Energy ledger: the books must balance to within the scheme's damping.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../Core/simulation.js';
+import { compileDeck, assertClose } from './helpers.js';
+
+function ledgerOf(deck) {
+    const sim = new Simulation(compileDeck(deck));
+    sim.recordInitial();
+    sim.advance(Infinity);
+    return sim.energyLedger();
+}
+
+test('RLC discharge: the feed resistor takes the bank energy', () => {
+    const ledger = ledgerOf(`
+Time-step 1n
+End-time 40u
+RCGround 1e12 1u NAME=CAP
+Initial CAP 1000
+RLSeries 0.2 1u NAME=FEED
+RCGround 0 0 NAME=SHORT
+`);
+    const t = ledger.totals;
+    assertClose(t.initial, 0.5, 1e-12, 'initial energy');
+    assert.ok(Math.abs(t.relativeError) < 1e-3, `conservation error ${t.relativeError}`);
+
+    const feed = ledger.blocks.find(b => b.name === 'FEED');
+    assertClose(feed.dissipated + t.final, 0.5, 0.5e-3, 'feed losses plus what is left');
+    // The phantoms are tiny but not free
+    assert.ok(t.phantom > 0 && t.phantom < 1e-5 * t.initial);
+});
+
+test('matched line delivers its energy to the load', () => {
+    const ledger = ledgerOf(`
+Time-step 0.1n
+End-time 70n
+TRLine Linear 10n 10 0.1n NAME=PFL
+Initial PFL 1000
+RCGround 10 0 NAME=LOAD
+`);
+    const t = ledger.totals;
+    // 0.5 * C_line * V^2 with C_line = T / Z
+    assertClose(t.initial, 0.5 * (10e-9 / 10) * 1000 * 1000, 1e-12, 'line energy');
+    const load = ledger.blocks.find(b => b.name === 'LOAD');
+    assertClose(load.dissipated / t.initial, 1, 0.02, 'load share');
+    // Whatever is missing is numerical damping in the line
+    assertClose(t.error, t.initial - t.final - t.dissipated - t.work, 1e-15, 'error definition');
+});
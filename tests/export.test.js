@@ -0,0 +1,83 @@
+/**
+ * Result exports: metadata, probe definitions and the binary layout.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportRun } from '../Core/export.js';
+import { runDeck } from './helpers.js';
+
+const DECK = `
+Time-step 1n
+End-time 1u
+RCGround 1e12 1u NAME=CAP
+Initial CAP 1000
+TXT VC
+TXT IC CAP
+TXT PVC = VC * IC
+RCGround 1 0
+`;
+
+const META = { deck: DECK, parameters: {}, seed: 7 };
+
+// Concatenates an export's parts as Node would write them
+function bytesOf(parts) {
+    return Buffer.concat(parts.map(part => (typeof part === 'string')
+        ? Buffer.from(part, 'utf8')
+        : Buffer.from(part.buffer, part.byteOffset, part.byteLength)));
+}
+
+test('JSON export carries units, probe definitions and the run metadata', () => {
+    const { sim } = runDeck(DECK);
+    const [file] = exportRun(sim, 'json', META);
+    assert.equal(file.name, 'simulation_output.json');
+    const out = JSON.parse(bytesOf(file.parts).toString('utf8'));
+
+    assert.equal(out.metadata.deck, DECK);
+    assert.equal(out.metadata.dt, 1e-9);
+    assert.equal(out.metadata.nodes, sim.config.nodes.length);
+    assert.equal(out.metadata.seed, 7);
+    assert.ok(!Number.isNaN(Date.parse(out.metadata.created)));
+
+    assert.deepEqual(out.probes.map(p => [p.label, p.unit]), [['VC', 'V'], ['IC', 'A'], ['PVC', '']]);
+    assert.equal(out.probes[1].block, 'CAP');
+    assert.equal(out.probes[2].expression, 'VC * IC');
+    assert.deepEqual(out.time, Array.from(sim.time));
+    assert.deepEqual(out.data.IC, Array.from(sim.trace('IC')));
+});
+
+test('binary export reads back to the recorded traces', () => {
+    const { sim } = runDeck(DECK);
+    const buf = bytesOf(exportRun(sim, 'binary', META)[0].parts);
+
+    assert.equal(buf.toString('latin1', 0, 4), 'WSCR');
+    assert.equal(buf.readUInt32LE(4), 1);
+    const length = buf.readUInt32LE(8);
+    const header = JSON.parse(buf.toString('utf8', 12, 12 + length));
+    assert.deepEqual(header.columns, ['Time(s)', 'VC', 'IC', 'PVC']);
+    assert.equal(header.metadata.deck, DECK);
+
+    const offset = 12 + length + (8 - (12 + length) % 8) % 8;
+    assert.equal(buf.length, offset + 8 * header.rows * header.columns.length);
+    const column = (k) => Array.from({ length: header.rows }, (_, i) => buf.readDoubleLE(offset + 8 * (k * header.rows + i)));
+    assert.deepEqual(column(0), Array.from(sim.time));
+    assert.deepEqual(column(2), Array.from(sim.trace('IC')));
+});
+
+test('CSV exports embed the deck; full precision and per-probe files round-trip', () => {
+    const { sim } = runDeck(DECK);
+    const csv = bytesOf(exportRun(sim, 'csv', META)[0].parts).toString('utf8');
+    assert.match(csv, /^# WebScreamer simulation output\n/);
+    assert.match(csv, /^# probe IC: current \[A\] at CAP$/m);
+    assert.match(csv, /^# {3}Initial CAP 1000$/m);
+    const rows = csv.split('\n').filter(line => line && !line.startsWith('#'));
+    assert.equal(rows[0], 'Time(s),VC,IC,PVC');
+    assert.equal(rows.length, sim.time.length + 1);
+    assert.equal(rows[1].split(',')[1], sim.trace('VC')[0].toExponential(6));
+
+    const files = exportRun(sim, 'probes', META);
+    assert.deepEqual(files.map(f => f.name), ['probe_VC.csv', 'probe_IC.csv', 'probe_PVC.csv']);
+    const lines = bytesOf(files[1].parts).toString('utf8').split('\n').filter(line => line && !line.startsWith('#'));
+    assert.equal(lines[0], 'Time(s),IC');
+    assert.deepEqual(lines.slice(1).map(line => Number(line.split(',')[1])), Array.from(sim.trace('IC')));
+});
@@ -0,0 +1,86 @@
+/**
+ * Exploding-wire fuses between a stiff 10 kV bank and a 10 ohm load: the
+ * current stays near 1 kA until the wire heats to its opening resistivity.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../Core/simulation.js';
+import { compileDeck, assertClose } from './helpers.js';
+
+// Runs a fuse deck, calling check(time, fuse node, load current) at each
+// of 'times' (whole ns)
+function runFuse(fuse, times, check) {
+    const sim = new Simulation(compileDeck(`
+Time-step 0.1n
+End-time ${times[times.length - 1]}n
+RCGround 1e12 1
+Initial VC1 10e3
+${fuse}
+TXT IFUSE
+RCGround 10 0
+`));
+    const node = sim.config.nodes.find(n => n.isFuse);
+    sim.recordInitial();
+    for (const t of times) {
+        sim.advance(Math.round(t * 10) - sim.steps);
+        check(t * 1e-9, node, sim.trace('IFUSE')[sim.steps]);
+    }
+}
+
+test('FUSE Action opens once the action integral reaches the table', () => {
+    // 1 mm of 0.001 mm^2 wire: 17 mohm cold, 17 ohm at the last
+    // resistivity. At 1 kA, j^2 = 1e24 A^2/m^4 reaches g = 1e17 A^2 s/m^4
+    // at 100 ns.
+    const cold = 1.7e-8 * 1e-3 / 1e-9;
+    runFuse('FUSE Action 1e-3 1e-9 0 1.7e-8 1e17 1.7e-8 1.2e17 1.7e-5', [50, 90, 105, 110, 400], (t, node, current) => {
+        const g = node.fuseState.action;
+        if (t < 100e-9) {
+            const I = 1e4 / (10 + cold);
+            assertClose(g, (I / 1e-9) ** 2 * t, 0.005 * g, `action at ${t}s`);
+            assertClose(node.R, cold, 1e-12, `cold resistance at ${t}s`);
+            assertClose(current, I, 0.1, `current at ${t}s`);
+        } else if (g < 1.2e17) {
+            // Between the last two points rho rises geometrically with g
+            const rho = 1.7e-8 * Math.pow(1e3, (g - 1e17) / 2e16);
+            assert.ok(node.R > cold, `heating at ${t}s`);
+            assertClose(node.R, rho * 1e-3 / 1e-9, 1e-9 * node.R, `resistance at ${t}s`);
+        } else {
+            // Past the table: held at the last resistivity
+            assertClose(node.R, 17, 1e-8, 'open resistance');
+            assertClose(current, 1e4 / 27, 0.5, 'current through the open fuse');
+        }
+    });
+});
+
+test('FUSE Energy follows the specific energy deposited in the wire', () => {
+    // 10 cm of 1 mm^2 copper weighs 0.896 g; at 0.17 ohm cold, 1 kA
+    // deposits about 0.18 J/kg every ns
+    const mass = 8960 * 0.1 * 1e-6;
+    const cold = 1.7e-6 * 0.1 / 1e-6;
+    runFuse('FUSE Energy 0.1 1e-6 8960 0 1.7e-6 20 1.7e-6 40 1.7e-3', [50, 100, 400], (t, node, current) => {
+        if (t < 110e-9) {
+            const I = 1e4 / (10 + cold);
+            const w = node.fuseState.energy / mass;
+            assertClose(w, I * I * cold * t / mass, 0.005 * w, `specific energy at ${t}s`);
+            assertClose(node.R, cold, 1e-12, `cold resistance at ${t}s`);
+        } else {
+            assert.ok(node.fuseState.energy / mass > 40, 'vaporised');
+            assertClose(node.R, 170, 1e-7, 'open resistance');
+            assertClose(current, 1e4 / 180, 0.05, 'current through the open fuse');
+        }
+    });
+});
+
+test('FUSE Burst heats linearly to g_burst, then saturates at rho_max', () => {
+    runFuse('FUSE Burst 1e-3 1e-9 1.7e-8 1.7e-7 1e17 5e15 1.7e-5', [50, 400], (t, node, current) => {
+        const g = node.fuseState.action;
+        if (t < 100e-9) {
+            assert.ok(g < 1e17);
+            assertClose(node.R, (1.7e-8 + 1.53e-7 * g / 1e17) * 1e6, 1e-9, `resistance at ${t}s`);
+        } else {
+            assertClose(node.R, 17, 1e-8, 'open resistance');
+            assertClose(current, 1e4 / 27, 0.5, 'current through the open fuse');
+        }
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * helpers.js
+ * Shared fixtures for the test suite: compile and run a deck in-process.
+ */
+
+import assert from 'node:assert/strict';
+import { CircuitCompiler } from '../Core/topology.js';
+import { Simulation } from '../Core/simulation.js';
+
+/**
+ * Compiles a deck, failing the test on any error diagnostic.
+ */
+export function compileDeck(text) {
+    const config = new CircuitCompiler().compile(text);
+    const errors = config.diagnostics.filter(d => d.severity === 'error');
+    assert.deepEqual(errors, [], 'deck should compile without errors');
+    return config;
+}
+
+/**
+ * Compiles and runs a deck to the end.
+ * Returns { config, time, sim, trace(label), at(label, t) } where trace gives the
+ * recorded (trapezoid-smoothed) samples and at() interpolates them.
+ */
+export function runDeck(text) {
+    const config = compileDeck(text);
+    const sim = new Simulation(config);
+    sim.recordInitial();
+    sim.advance(Infinity);
+
+    const time = sim.time;
+    const trace = (label) => {
+        assert.ok(sim.plotData[label], `no probe labelled ${label}`);
+        return sim.trace(label);
+    };
+    const at = (label, t) => {
+        const data = trace(label);
+        // Last sample at or before t (the time base need not be uniform)
+        let lo = 0, hi = time.length - 2;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (time[mid] <= t) lo = mid;
+            else hi = mid - 1;
+        }
+        const w = Math.min(Math.max((t - time[lo]) / (time[lo + 1] - time[lo]), 0), 1);
+        return data[lo] + (data[lo + 1] - data[lo]) * w;
+    };
+    return { config, time, sim, trace, at };
+}
+
+/**
+ * Asserts |actual - expected| <= tol, with a readable message.
+ */
+export function assertClose(actual, expected, tol, what = 'value') {
+    assert.ok(Math.abs(actual - expected) <= tol,
+        `${what}: expected ${expected} ± ${tol}, got ${actual}`);
+}
@@ -0,0 +1,51 @@
+/**
+ * Initial currents and profiles, and the consistent t=0 state.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runDeck, assertClose } from './helpers.js';
+
+test('Initial current in an inductor decays into its load with L/R', () => {
+    const run = runDeck(`
+Time-step 1n
+End-time 3u
+RCGround 1u 0
+RLSeries 0 1u NAME=FEED
+Initial IL FEED 1000
+RCGround 1 0 NAME=LOAD
+TXT ILOAD
+TXT VLOAD
+`);
+    // The recorded t=0 row already carries the current and the load voltage
+    assertClose(run.trace('ILOAD')[0], 1000, 1e-3, 'ILOAD at t=0');
+    assertClose(run.trace('VLOAD')[0], 1000, 1e-3, 'VLOAD at t=0');
+    for (const t of [0.5e-6, 1e-6, 2e-6]) {
+        assertClose(run.at('ILOAD', t), 1000 * Math.exp(-t / 1e-6), 1.0, `ILOAD at ${t}s`);
+    }
+
+    const ledger = run.sim.energyLedger();
+    assertClose(ledger.totals.initial, 0.5 * 1e-6 * 1000 * 1000, 1e-5, 'stored in the inductor');
+    assert.ok(Math.abs(ledger.totals.relativeError) < 1e-6, `conservation error ${ledger.totals.relativeError}`);
+});
+
+test('a forward wave set up along a line arrives at a matched load', () => {
+    const run = runDeck(`
+Time-step 0.1n
+End-time 40n
+TRLine Linear 10n 10 NAME=LINE
+Initial LINE 1000
+Initial IL LINE 100
+RCGround 10 0 NAME=LOAD
+TXT VLOAD
+`);
+    // V = Z I everywhere: the whole line is one wave travelling to the
+    // load, which takes it for one transit time and with it all the energy
+    assertClose(run.trace('VLOAD')[0], 1000, 1e-3, 'VLOAD at t=0');
+    assertClose(run.at('VLOAD', 5e-9), 1000, 10, 'load before the tail');
+    assertClose(run.at('VLOAD', 20e-9), 0, 20, 'load after the tail');
+
+    const t = run.sim.energyLedger().totals;
+    assertClose(t.initial, 1e-3, 1e-9, 'stored on the line');
+    assertClose(t.dissipated, t.initial, 0.02 * t.initial, 'taken by the load');
+});
@@ -0,0 +1,48 @@
+/**
+ * Lumped RC and RLC circuits against their closed-form responses.
+ */
+
+import { test } from 'node:test';
+import { runDeck, assertClose } from './helpers.js';
+
+test('RC discharge follows V0 exp(-t/RC)', () => {
+    // 1 uF through 1 ohm: tau = 1 us
+    const run = runDeck(`
+Time-step 1n
+End-time 3u
+RCGround 1e12 1u NAME=CAP
+Initial CAP 1000
+TXT VC
+RCGround 1 0
+`);
+    for (const t of [0, 0.25e-6, 0.5e-6, 1e-6, 2e-6, 3e-6]) {
+        const expected = 1000 * Math.exp(-t / 1e-6);
+        assertClose(run.at('VC', t), expected, 0.005 * 1000, `VC at ${t}s`);
+    }
+});
+
+test('underdamped series RLC rings at the damped frequency', () => {
+    // C = 1 uF, L = 1 uH, R = 0.2 ohm: alpha = 1e5 /s, omega_0 = 1e6 rad/s
+    const run = runDeck(`
+Time-step 1n
+End-time 20u
+RCGround 1e12 1u NAME=CAP
+Initial CAP 1000
+RLSeries 0.2 1u
+TXT ILOAD
+RCGround 0 0
+`);
+    const alpha = 0.2 / (2 * 1e-6);
+    const wd = Math.sqrt(1 / (1e-6 * 1e-6) - alpha * alpha);
+    const current = (t) => 1000 / (wd * 1e-6) * Math.exp(-alpha * t) * Math.sin(wd * t);
+
+    // 1% of the first peak (~870 A)
+    const tol = 9;
+    for (const t of [0.5e-6, 1e-6, 1.5e-6, 3e-6, 5e-6, 7.5e-6, 10e-6, 15e-6]) {
+        assertClose(run.at('ILOAD', t), current(t), tol, `ILOAD at ${t}s`);
+    }
+
+    // First peak at atan(wd/alpha)/wd
+    const tPeak = Math.atan(wd / alpha) / wd;
+    assertClose(run.at('ILOAD', tPeak), current(tPeak), tol, 'first peak');
+});
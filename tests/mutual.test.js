@@ -0,0 +1,110 @@
+/**
+ * Mutually coupled inductors (MUTUAL): coupled decay, transformers and
+ * voltage adders.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitCompiler } from '../Core/topology.js';
+import { runDeck, assertClose } from './helpers.js';
+
+test('a current in one of two coupled loops splits into the L+M and L-M modes', () => {
+    const run = runDeck(`
+Time-step 1n
+End-time 3u
+RCGround 0 0
+RLSeries 1 1u NAME=P
+Initial IP P 100
+RCGround 0 0
+RLSeries 1 1u NAME=S
+RCGround 0 0
+MUTUAL P S 0.5
+TXT IP P
+TXT IS S
+`);
+    // Identical loops: I1 + I2 decays with (L+M)/R, I1 - I2 with (L-M)/R
+    const plus = (t) => Math.exp(-t / 1.5e-6);
+    const minus = (t) => Math.exp(-t / 0.5e-6);
+    for (const t of [0.2e-6, 0.5e-6, 1e-6, 2e-6]) {
+        assertClose(run.at('IP', t), 50 * (plus(t) + minus(t)), 0.3, `IP at ${t}s`);
+        assertClose(run.at('IS', t), 50 * (plus(t) - minus(t)), 0.3, `IS at ${t}s`);
+    }
+
+    const ledger = run.sim.energyLedger();
+    assertClose(ledger.totals.initial, 0.5 * 1e-6 * 100 * 100, 1e-7, 'stored at t=0');
+    assert.ok(Math.abs(ledger.totals.relativeError) < 1e-3, `conservation error ${ledger.totals.relativeError}`);
+});
+
+test('a pulse transformer charges its secondary capacitor by the turns ratio', () => {
+    const run = runDeck(`
+Time-step 1n
+End-time 5u
+RCGround 1e12 1u NAME=PRIMARY_C
+Initial PRIMARY_C 1000
+RLSeries 0.01 1u NAME=PRI
+RCGround 0 0
+RLSeries 0.01 100u NAME=SEC
+RCGround 1e12 10n NAME=SECONDARY_C
+MUTUAL PRI SEC 0.6
+TXT VSEC SECONDARY_C
+`);
+    // Dual resonance (C1 L1 = C2 L2) with k = 0.6 puts the two modes an
+    // octave apart: the bank empties into the secondary capacitor, charged
+    // to V1 sqrt(C1/C2) = 10 kV, after half a period of the slow mode
+    let peak = 0;
+    let tPeak = 0;
+    run.trace('VSEC').forEach((v, i) => {
+        if (Math.abs(v) > peak) { peak = Math.abs(v); tPeak = run.time[i]; }
+    });
+    assertClose(peak, 10e3, 0.03 * 10e3, 'secondary peak');
+    assertClose(tPeak, Math.PI * Math.sqrt(1.6e-12), 0.05e-6, 'time of the peak');
+    const t = run.sim.energyLedger().totals;
+    assert.ok(Math.abs(t.relativeError) < 0.01, `conservation error ${t.relativeError}`);
+});
+
+test('an inductive voltage adder sums its cavities on the stalk', () => {
+    // Each cavity is its own loop: bank, primary, return to ground, and an
+    // open series element before the next bank
+    const cavity = (n) => `
+RCGround 1e12 1u NAME=C${n}
+Initial C${n} 1000
+RLSeries 0.01 1u NAME=P${n}
+RCGround 0 0
+RLSeries 1e12`;
+    const run = runDeck(`
+Time-step 1n
+End-time 200n
+${cavity(1)}
+${cavity(2)}
+RCGround 1e12 1u NAME=C3
+Initial C3 1000
+RLSeries 0.01 1u NAME=P3
+RCGround 0 0
+RLSeries 0 1u NAME=S1
+RLSeries 0 1u NAME=S2
+RLSeries 0 1u NAME=S3
+RCGround 100 0 NAME=LOAD
+MUTUAL P1 S1 -0.99
+MUTUAL P2 S2 -0.99
+MUTUAL P3 S3 -0.99
+TXT VLOAD LOAD
+`);
+    // Three 1:1 cavities in series on a 100 ohm load (k < 0 winds the stalk
+    // for a positive output): k * 3 kV once the leakage current has risen
+    assertClose(run.at('VLOAD', 5e-9), 0.99 * 3000, 30, 'load after 5 ns');
+    assertClose(run.at('VLOAD', 100e-9), 0.99 * 3000, 60, 'load after 100 ns');
+});
+
+test('MUTUAL errors are reported', () => {
+    const check = (deck, pattern) => {
+        const config = new CircuitCompiler().compile(deck);
+        assert.ok(config.diagnostics.some(d => d.severity === 'error' && pattern.test(d.message)), deck);
+    };
+    const PAIR = 'RLSeries 0 1u NAME=A\nRCGround 0 0 NAME=G\nRLSeries 0 1u NAME=B\nRLSeries 1 NAME=R\n';
+    check(PAIR + 'MUTUAL A X 0.5', /Unknown block: X/);
+    check(PAIR + 'MUTUAL A B 1.5', /between -1 and 1/);
+    check(PAIR + 'MUTUAL A G 0.5', /couples RLSeries blocks; G is RCG/);
+    check(PAIR + 'MUTUAL A R 0.5', /R has no inductance/);
+    check(PAIR + 'MUTUAL A A 0.5', /cannot be coupled to itself/);
+    check(PAIR + 'MUTUAL A B 0.5\nMUTUAL B A 0.2', /already coupled/);
+});
@@ -0,0 +1,133 @@
+/**
+ * Nonlinear loads (DIODE, NLOAD, SATL) and the Newton iteration behind them.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitCompiler } from '../Core/topology.js';
+import { runDeck, assertClose } from './helpers.js';
+
+test('NLOAD with n = 1 is a resistor', () => {
+    const deck = (load) => `
+Time-step 1n
+End-time 2u
+RCGround 1e12 1u NAME=CAP
+Initial CAP 1000
+TXT VC CAP
+${load}
+`;
+    const nonlinear = runDeck(deck('NLOAD 1 1'));
+    const linear = runDeck(deck('RCGround 1 0'));
+    // 1 uF into 1 ohm: VC = 1000 exp(-t / 1 us)
+    for (const t of [0.5e-6, 1e-6, 2e-6]) {
+        assertClose(nonlinear.at('VC', t), linear.at('VC', t), 1e-6, `VC at ${t}s`);
+        assertClose(nonlinear.at('VC', t), 1000 * Math.exp(-t / 1e-6), 2, `VC at ${t}s`);
+    }
+    const totals = nonlinear.sim.energyLedger().totals;
+    assert.ok(Math.abs(totals.relativeError) < 1e-3, `conservation error ${totals.relativeError}`);
+});
+
+test('DIODE follows Child-Langmuir as its gap closes', () => {
+    const run = runDeck(`
+Time-step 1n
+End-time 600n
+VSOURCE STEP 1e6 R=1
+DIODE 0.01 0.01 2e4 NAME=AK
+TXT VAK AK
+TXT IAK AK
+`);
+    // V + R P V^1.5 = 1 MV with perveance P = 2.33e-6 A / d(t)^2
+    const perveance = (t) => 2.334e-6 * 0.01 / (0.01 - 2e4 * t) ** 2;
+    for (const t of [100e-9, 250e-9]) {
+        let lo = 0, hi = 1e6;
+        for (let k = 0; k < 100; k++) {
+            const v = 0.5 * (lo + hi);
+            if (v + perveance(t) * v ** 1.5 > 1e6) hi = v;
+            else lo = v;
+        }
+        assertClose(run.at('VAK', t), lo, 0.01 * lo, `VAK at ${t}s`);
+        assertClose(run.at('IAK', t), perveance(t) * lo ** 1.5, 0.01 * (1e6 - lo), `IAK at ${t}s`);
+    }
+    assert.ok(run.sim.drainEvents().some(ev => ev.type === 'DIODE_CLOSED' && ev.time <= 500e-9));
+    const totals = run.sim.energyLedger().totals;
+    assert.ok(Math.abs(totals.relativeError) < 1e-3, `conservation error ${totals.relativeError}`);
+});
+
+test('a charged capacitor starts consistent with its DIODE', () => {
+    const run = runDeck(`
+Time-step 1n
+End-time 20n
+RCGround 1e12 1u NAME=CAP
+Initial CAP 1e5
+RLSeries 0 1u
+DIODE 0.01 0.01 NAME=AK
+TXT VAK AK
+TXT IAK AK
+`);
+    // At t=0 the inductor carries next to no current, so the diode holds
+    // off almost nothing; the t=0 row sits on the Child-Langmuir curve
+    const vak = run.trace('VAK')[0];
+    const iak = run.trace('IAK')[0];
+    assert.ok(vak > 0 && vak < 1, `VAK at t=0: ${vak}`);
+    assertClose(iak, 2.334e-6 * 0.01 / 1e-4 * vak ** 1.5 + 1e-9 * vak, 1e-3 * iak, 'IAK at t=0');
+});
+
+test('a DIODE blocks reverse voltage', () => {
+    const run = runDeck(`
+Time-step 1n
+End-time 200n
+RCGround 1e12 1n NAME=CAP
+Initial CAP -1e5
+RLSeries 0 1u
+DIODE 0.01 0.01 NAME=AK
+TXT VAK AK
+TXT IAK AK
+`);
+    // Reversed, only the 1 GOhm leak conducts
+    const vak = run.trace('VAK');
+    run.trace('IAK').forEach((i, k) => assert.ok(Math.abs(i) <= 1.01e-9 * Math.abs(vak[k]) + 1e-9, `IAK[${k}] = ${i}`));
+    assert.ok(Math.min(...vak) < -0.9e5, 'the node charges up reversed');
+});
+
+test('SATL swings onto its saturated inductance', () => {
+    // 1 kV across the inductor: the flux linkage is V t
+    const table = runDeck(`
+Time-step 1n
+End-time 1.2u
+VSOURCE STEP 1000
+SATL 0 TABLE 0 0 1000 1e-3 2000 1.1e-3 NAME=CORE
+RCGround 0 0
+TXT ICORE CORE
+`);
+    assertClose(table.at('ICORE', 0.5e-6), 500, 5, 'unsaturated, 1 uH');
+    assertClose(table.at('ICORE', 1.05e-6), 1500, 20, 'saturated, 0.1 uH');
+    const totals = table.sim.energyLedger().totals;
+    assertClose(totals.error, 0, 1e-6 * totals.source, 'conservation error');
+
+    const tanh = runDeck(`
+Time-step 1n
+End-time 1.2u
+VSOURCE STEP 1000
+SATL 0 1u 0.1u 1000 NAME=CORE
+RCGround 0 0
+TXT ICORE CORE
+`);
+    for (const t of [0.5e-6, 1.1e-6]) {
+        const i = tanh.at('ICORE', t);
+        const flux = 0.1e-6 * i + 0.9e-6 * 1000 * Math.tanh(i / 1000);
+        assertClose(flux, 1000 * t, 2e-6, `flux at ${t}s`);
+    }
+});
+
+test('nonlinear load errors are reported', () => {
+    const check = (line, pattern) => {
+        const config = new CircuitCompiler().compile(line);
+        assert.ok(config.diagnostics.some(d => d.severity === 'error' && pattern.test(d.message)), line);
+    };
+    check('DIODE 0 1', /gap/);
+    check('NLOAD 1 -2', /\bn\b/);
+    check('SATL 0 1u 2u 100', /L_sat must not exceed L_unsat/);
+    check('SATL 0 TABLE 1 1e-6 2 2e-6', /starting at 0 0/);
+    check('SATL 0 TABLE 0 0 2 2e-6 1 3e-6', /currents must increase/);
+    check('SATL 0 TABLE:CORE', /Unknown table: CORE/);
+});
@@ -0,0 +1,220 @@
+/**
+ * CircuitCompiler parsing: probe labels, Initial targets and numeric fields.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitCompiler } from '../Core/topology.js';
+import { compileDeck } from './helpers.js';
+
+test('repeated TXT labels are made unique', () => {
+    const config = compileDeck(`
+RCGround 1e12 1u
+TXT VC1
+TXT VC1
+RLSeries 0.1 1n
+TXT VC1
+TXT IIN
+`);
+    assert.deepEqual(config.outputRequests.map(r => r.label), ['VC1', 'VC1_1', 'VC1_2', 'IIN']);
+});
+
+test('TXT quantities come from keywords, not label prefixes', () => {
+    const config = compileDeck(`
+RCGround 1e12 1u NAME=POWER
+RCGround 5 0 NAME=LOAD
+TXT PIN LOAD
+TXT EOUT
+TXT DIODE_I LOAD
+TXT PLOAD POWER LOAD
+TXT ELOAD ENERGY
+TXT QLOAD charge LOAD
+TXT X DVDT LOAD
+TXT VBANK POWER
+`);
+    assert.deepEqual(config.outputRequests.map(r => r.type),
+                     ['current', 'current', 'current', 'power', 'energy', 'charge', 'dvdt', 'voltage']);
+    // The last one probes the block named POWER
+    assert.equal(config.outputRequests[7].startNode, 0);
+    assert.equal(config.outputRequests[3].startNode, 2);
+});
+
+test('TXT labels without a keyword default to V, I or the last node current', () => {
+    const config = compileDeck(`
+RCGround 1e12 1u
+RLSeries 0.1 1u NAME=FEED
+TXT VFEED
+TXT IFEED
+TXT vfeed
+TXT PIN
+TXT XOUT FEED.IN
+`);
+    const feed = config.outputRequests[0];
+    assert.deepEqual(config.outputRequests.map(r => r.type), ['voltage', 'current', 'current', 'current', 'current']);
+    // I: the current entering the block; anything else, lowercase v
+    // included, the current at its last node unless a position says otherwise
+    assert.deepEqual(config.outputRequests.map(r => r.nodeIndex),
+                     [feed.nodeIndex, feed.startNode - 1, feed.endNode, feed.endNode, feed.startNode - 1]);
+});
+
+test('Initial charges a whole TRLine', () => {
+    const config = compileDeck(`
+RCGround 1e12 1u
+TRLine Linear 5n 10 1n NAME=LINE
+Initial LINE 2500
+RCGround 10 0
+`);
+    const line = config.nodes.slice(2, 2 + 5 * 4);
+    assert.equal(line.length, 20);
+    line.forEach(node => assert.equal(node.initialV, 2500));
+    // The nodes either side are not touched
+    assert.equal(config.nodes[0].initialV, undefined);
+    assert.equal(config.nodes[22].initialV, undefined);
+});
+
+test('Initial without a block name charges the last TRLine', () => {
+    const config = compileDeck(`
+TRLine Linear 3n 10 1n
+Initial VLINE 100
+`);
+    assert.equal(config.nodes.length, 12);
+    config.nodes.forEach(node => assert.equal(node.initialV, 100));
+});
+
+test('Initial LINE.IN / .MID / .OUT charge a single segment', () => {
+    const config = compileDeck(`
+TRLine Linear 5n 10 1n NAME=LINE
+Initial LINE.IN 1
+Initial LINE.MID 2
+Initial LINE.OUT 3
+`);
+    const segmentV = [];
+    for (let s = 0; s < 5; s++) segmentV.push(config.nodes[4 * s].initialV);
+    assert.deepEqual(segmentV, [1, undefined, 2, undefined, 3]);
+});
+
+test('Initial currents spread along the series path', () => {
+    const config = compileDeck(`
+RCGround 1e12 1u NAME=BANK
+RLSeries 0.1 100n NAME=FEED
+Initial IL FEED 50e3
+SWITCH Instant 1e9 0.01 0
+RCGround 10 0
+`);
+    const I = config.nodes.map(node => node.initialI);
+    // From the bank capacitor through the switch, up to the load
+    assert.deepEqual(I, [50e3, 50e3, 50e3, 50e3, 50e3, 50e3, undefined, undefined]);
+    assert.equal(config.nodes[0].initialV, undefined);
+});
+
+test('the short Initial form sets a current through an inductive last block', () => {
+    const config = compileDeck(`
+RCGround 1e12 1u
+RLSeries 0.1 100n
+Initial IIN 50e3
+RCGround 10 0
+`);
+    assert.deepEqual(config.nodes.map(node => node.initialI), [50e3, 50e3, 50e3, 50e3, undefined, undefined]);
+    assert.ok(config.nodes.every(node => node.initialV === undefined));
+});
+
+test('the short Initial form on a capacitor stays a voltage', () => {
+    // Older decks name the condition, not the quantity: IC1 = initial condition
+    const config = new CircuitCompiler().compile(`
+RCGround 1e12 1u
+Initial IC1 5000
+RLSeries 0 1u
+`);
+    assert.equal(config.nodes[0].initialV, 5000);
+    assert.equal(config.nodes[1].initialV, 5000);
+    assert.ok(config.nodes.every(node => node.initialI === undefined));
+    assert.ok(config.diagnostics.some(d => d.severity === 'warning' && /Initial IC1 sets a voltage/.test(d.message)));
+});
+
+test('Initial profiles along a TRLine', () => {
+    const config = compileDeck(`
+TRLine Linear 4n 10 1n NAME=LINE
+Initial V LINE TABLE 0 0 1 400
+TABLE RAMP
+0 100
+1 300
+END TABLE
+Initial IL LINE TABLE:RAMP
+Initial IL LINE.OUT 7
+`);
+    const seg = (s) => config.nodes.slice(4 * s, 4 * s + 4);
+    // Read at the segment midpoints
+    [50, 150, 250, 350].forEach((v, s) => seg(s).forEach(node => assert.equal(node.initialV, v)));
+    [125, 175, 225, 275].forEach((i, s) => seg(s).forEach(node => assert.equal(node.initialI, i)));
+});
+
+test('Initial errors are reported', () => {
+    const check = (deck, pattern) => {
+        const config = new CircuitCompiler().compile(deck);
+        assert.ok(config.diagnostics.some(d => d.severity === 'error' && pattern.test(d.message)), deck);
+    };
+    check('RLSeries 1 1u NAME=FEED\nInitial XL FEED 5', /must start with V \(voltage\) or I \(current\)/);
+    check('RLSeries 1 1u NAME=FEED\nInitial IL BANK 5', /Unknown block: BANK/);
+    check('RCGround 1e12 1u NAME=BANK\nInitial IL BANK 5', /Initial current needs a block with series inductance; BANK has none/);
+    check('RLSeries 1 1u NAME=FEED\nInitial VL FEED TABLE 0 1 1 2', /profile needs a TRLine/);
+    check('TRLine Linear 4n 10 1n\nInitial VL TABLE:PROFILE', /Unknown table: PROFILE/);
+});
+
+test('numeric fields take SI suffixes and PARAMETER expressions', () => {
+    const config = compileDeck(`
+PARAMETER L_stray 20n
+PARAMETER R_load 0.5
+RLSeries R_load L_stray*2
+RLSeries (R_load + 0.1) 50nH
+RCGround 5k 3.1u
+`);
+    const n = config.nodes;
+    assert.equal(n[1].R, 0.5);
+    assert.ok(Math.abs(n[1].L - 40e-9) < 1e-20);
+    assert.ok(Math.abs(n[3].R - 0.6) < 1e-12);
+    assert.ok(Math.abs(n[3].L - 50e-9) < 1e-20);
+    assert.ok(Math.abs(n[4].G - 1 / 5000) < 1e-15);
+    assert.ok(Math.abs(n[4].C - 3.1e-6) < 1e-18);
+});
+
+test('SI suffixes give the same number as the exponent written out', () => {
+    const config = compileDeck('Time-step 0.1n\nEnd-time 100n\nRLSeries 3.3m 1.1uH\nRCGround 4.7k 2e3p\n');
+    assert.equal(config.t_end, 100e-9);
+    assert.equal(config.dt, 0.1e-9);
+    assert.equal(config.nodes[1].R, 3.3e-3);
+    assert.equal(config.nodes[1].L, 1.1e-6);
+    assert.equal(config.nodes[2].G, 1 / 4.7e3);
+    assert.equal(config.nodes[2].C, 2e-9);
+});
+
+test('malformed values are reported with their line and column', () => {
+    const diagnostics = new CircuitCompiler().validate('Time-step 1n\nRLSeries 0.1 1oo\n');
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].line, 2);
+    assert.equal(diagnostics[0].column, 14);
+    assert.equal(diagnostics[0].severity, 'error');
+});
+
+test('TRLine losses need the physical length', () => {
+    // A 10 ns water line is about 0.34 m long, not c * 10 ns = 3 m
+    const config = compileDeck('TRLine Linear 10n 5 1n R=2 G=0.5 LENGTH=0.34\n');
+    assert.ok(Math.abs(config.nodes[3].R - 2 * 0.034) < 1e-15);
+    assert.ok(Math.abs(config.nodes[0].G - 0.5 * 0.034) < 1e-15);
+
+    const diagnostics = new CircuitCompiler().validate('TRLine Linear 10n 5 1n G=0.5\n');
+    assert.equal(diagnostics.length, 1);
+    assert.match(diagnostics[0].message, /needs LENGTH=<m>/);
+    assert.equal(diagnostics[0].column, 24);
+});
+
+test('FUSE resistivities must be positive', () => {
+    const diagnostics = new CircuitCompiler().validate('FUSE Action 0.5 1e-7 0 1.7e-8 1e17 0\n');
+    assert.equal(diagnostics.length, 1);
+    assert.match(diagnostics[0].message, /resistivity must be greater than zero/);
+    assert.equal(diagnostics[0].column, 36);
+
+    const negative = new CircuitCompiler().validate('FUSE Energy 0.5 1e-7 8960 0 -1.7e-8\n');
+    assert.match(negative[0].message, /resistivity must not be negative/);
+    const burst = new CircuitCompiler().validate('FUSE Burst 0.5 1e-7 1.7e-8 1e-7 1e17 1e16 0\n');
+    assert.match(burst[0].message, /rho_max must be greater than zero/);
+});
@@ -0,0 +1,50 @@
+/**
+ * Derived probes on an RC discharge (1 uF from 1 kV into 1 ohm, tau = 1 us)
+ * against V0 exp(-t/tau) and the energy and charge it implies.
+ */
+
+import { test } from 'node:test';
+import { runDeck, assertClose } from './helpers.js';
+
+const V0 = 1000;
+const C = 1e-6;
+const TAU = 1e-6;
+const v = (t) => V0 * Math.exp(-t / TAU);
+
+const discharge = () => runDeck(`
+Time-step 1n
+End-time 5u
+RCGround 1e12 1u NAME=CAP
+Initial CAP 1000
+RCGround 1 0 NAME=LOAD
+TXT PLOAD POWER LOAD
+TXT ELOAD ENERGY LOAD
+TXT EBANK ENERGY CAP
+TXT ER DISSIPATED LOAD
+TXT ES STORED CAP
+TXT QLOAD CHARGE LOAD
+TXT DV DVDT CAP
+`);
+
+test('POWER and ENERGY follow V^2/R and its integral', () => {
+    const r = discharge();
+    for (const t of [0.5e-6, 1e-6, 2e-6]) {
+        assertClose(r.at('PLOAD', t), v(t) ** 2, 0.01 * V0 ** 2, `PLOAD at ${t}s`);
+        const lost = 0.5 * C * (V0 ** 2 - v(t) ** 2);
+        assertClose(r.at('ELOAD', t), lost, 0.005 * 0.5, `ELOAD at ${t}s`);
+        // What the load absorbs the bank gives up
+        assertClose(r.at('EBANK', t), -lost, 0.005 * 0.5, `EBANK at ${t}s`);
+        assertClose(r.at('ER', t), lost, 0.005 * 0.5, `ER at ${t}s`);
+        assertClose(r.at('ES', t), 0.5 * C * v(t) ** 2, 0.005 * 0.5, `ES at ${t}s`);
+    }
+    // By 5 tau the whole 1/2 C V0^2 has gone into the load
+    assertClose(r.at('ELOAD', 5e-6), 0.5 * C * V0 ** 2, 0.005 * 0.5, 'ELOAD at the end');
+});
+
+test('CHARGE is C times the voltage lost, DVDT the slope -V/tau', () => {
+    const r = discharge();
+    for (const t of [0.5e-6, 1e-6, 2e-6, 4e-6]) {
+        assertClose(r.at('QLOAD', t), C * (V0 - v(t)), 0.005 * C * V0, `QLOAD at ${t}s`);
+        assertClose(r.at('DV', t), -v(t) / TAU, 0.01 * V0 / TAU, `DV at ${t}s`);
+    }
+});
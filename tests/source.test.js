@@ -0,0 +1,97 @@
+/**
+ * Driven sources (VSOURCE, ISOURCE) and their waveforms.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitCompiler } from '../Core/topology.js';
+import { sourceValue } from '../Core/waveform.js';
+import { runDeck, assertClose } from './helpers.js';
+
+test('VSOURCE STEP into an RL load rises with L/R', () => {
+    const run = runDeck(`
+Time-step 1n
+End-time 1u
+VSOURCE STEP 1000 R=1
+RLSeries 0 1u
+RCGround 9 0 NAME=LOAD
+TXT ILOAD
+`);
+    // 1000 V behind 1 + 9 ohm and 1 uH: tau = 100 ns, final 100 A
+    for (const t of [0.1e-6, 0.3e-6, 1e-6]) {
+        assertClose(run.at('ILOAD', t), 100 * (1 - Math.exp(-t / 0.1e-6)), 1.0, `ILOAD at ${t}s`);
+    }
+
+    const ledger = run.sim.energyLedger();
+    const t = ledger.totals;
+    assert.ok(t.source > 0);
+    assertClose(t.error, 0, 1e-9 * t.source, 'conservation error');
+    assertClose(ledger.blocks.find(b => b.name === 'VSOURCE#1').source, t.source, 0, 'delivered by the source');
+});
+
+test('VSOURCE GAUSSIAN drives a matched line', () => {
+    const run = runDeck(`
+Time-step 0.1n
+End-time 100n
+VSOURCE GAUSSIAN 1e6 30n 10n R=10
+TRLine Linear 20n 10 NAME=LINE
+RCGround 10 0 NAME=LOAD
+TXT VIN LINE.IN
+TXT VLOAD LOAD
+`);
+    // Half the open-circuit voltage, delayed by the line at the load
+    assertClose(run.at('VIN', 30e-9), 0.5e6, 0.01e6, 'line input at the peak');
+    assertClose(run.at('VLOAD', 50e-9), 0.5e6, 0.01e6, 'load at the peak');
+    assertClose(run.at('VIN', 45e-9), 0.5e6 * Math.exp(-4 * Math.LN2 * 2.25), 0.01e6, 'line input on the tail');
+    const t = run.sim.energyLedger().totals;
+    assert.ok(Math.abs(t.relativeError) < 0.01, `conservation error ${t.relativeError}`);
+});
+
+test('ISOURCE TABLE charges a capacitor', () => {
+    const run = runDeck(`
+Time-step 1n
+End-time 300n
+ISOURCE TABLE 0 0 100n 10 200n 10 200.1n 0
+RCGround 1e12 1u
+TXT VC
+`);
+    // Q = 0.5 * 100n * 10 + 100n * 10 = 1.5 uC on 1 uF
+    assertClose(run.at('VC', 300e-9), 1.5, 0.01, 'final voltage');
+    assertClose(run.at('VC', 100e-9), 0.5, 0.02, 'end of the ramp');
+});
+
+test('waveform shapes', () => {
+    const compiler = new CircuitCompiler();
+    const config = compiler.compile(`
+VSOURCE DEXP 100 100n 10n 5n
+VSOURCE RAMP 10 20n 5n
+VSOURCE SINE 2 1e6 90
+`);
+    assert.deepEqual(config.diagnostics, []);
+    const [dexp, ramp, sine] = config.nodes.filter(n => n.source).map(n => n.source);
+
+    // Peak of the double exponential is the amplitude
+    let peak = 0;
+    for (let t = 0; t < 100e-9; t += 0.01e-9) peak = Math.max(peak, sourceValue(dexp, t));
+    assertClose(peak, 100, 1e-3, 'DEXP peak');
+    assert.equal(sourceValue(dexp, 4e-9), 0);
+
+    assert.equal(sourceValue(ramp, 5e-9), 0);
+    assertClose(sourceValue(ramp, 15e-9), 5, 1e-12, 'halfway up the ramp');
+    assert.equal(sourceValue(ramp, 1e-6), 10);
+    assert.deepEqual(ramp.breaks, [5e-9, 25e-9]);
+
+    assertClose(sourceValue(sine, 0), 2, 1e-12, 'SINE phase');
+});
+
+test('source waveform errors are reported', () => {
+    const check = (line, pattern) => {
+        const diagnostics = new CircuitCompiler().compile(line);
+        assert.ok(diagnostics.diagnostics.some(d => d.severity === 'error' && pattern.test(d.message)), line);
+    };
+    check('VSOURCE SQUARE 1', /Unknown waveform: SQUARE/);
+    check('ISOURCE', /Missing source waveform/);
+    check('VSOURCE DEXP 1 10n 100n', /tau_fall longer than tau_rise/);
+    check('VSOURCE TABLE:PULSE', /Unknown table: PULSE/);
+    check('VSOURCE RAMP 1 0', /t_rise must be greater than zero/);
+});
@@ -0,0 +1,64 @@
+/**
+ * STOP-IF conditions and the streamed plot points of a run.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitCompiler } from '../Core/topology.js';
+import { Simulation } from '../Core/simulation.js';
+import { compileDeck, assertClose } from './helpers.js';
+
+// 1 uF at 1 kV into 1 ohm: VC = 1000 exp(-t / 1 us)
+const RC = `
+Time-step 1n
+End-time 3u
+RCGround 1e12 1u NAME=CAP
+Initial CAP 1000
+TXT VC
+RCGround 1 0
+`;
+
+test('STOP-IF ends the run once the probe crosses the limit', () => {
+    const sim = new Simulation(compileDeck(RC + 'STOP-IF VC < 500\n'));
+    sim.recordInitial();
+    sim.advance(Infinity);
+
+    assert.ok(sim.stopped, 'the run stopped early');
+    assert.equal(sim.stopped.label, 'VC');
+    // 1000 exp(-t) crosses 500 at t = ln 2 us
+    assertClose(sim.stopped.time, Math.LN2 * 1e-6, 5e-9, 'stop time');
+    assert.ok(sim.stopped.value < 500);
+    assert.equal(sim.time[sim.time.length - 1], sim.stopped.time);
+    assert.ok(sim.drainEvents().some(ev => ev.type === 'STOPPED'));
+});
+
+test('STOP-IF must name a TXT probe', () => {
+    const config = new CircuitCompiler().compile(RC + 'STOP-IF IX > 1\n');
+    assert.ok(config.diagnostics.some(d => d.severity === 'error' && /STOP-IF probe 'IX'/.test(d.message)));
+    const bad = new CircuitCompiler().compile(RC + 'STOP-IF VC = 1\n');
+    assert.ok(bad.diagnostics.some(d => d.severity === 'error' && /expects > or </.test(d.message)));
+});
+
+test('streamed plot points add up to the final plot', () => {
+    const sim = new Simulation(compileDeck(RC));
+    sim.recordInitial();
+    const x = [];
+    const y = [];
+    while (!sim.advance(250)) {
+        const points = sim.newPlotPoints();
+        if (points) {
+            x.push(...points.VC.x);
+            y.push(...points.VC.y);
+        }
+    }
+    const rest = sim.newPlotPoints();
+    if (rest) {
+        x.push(...rest.VC.x);
+        y.push(...rest.VC.y);
+    }
+    assert.equal(sim.newPlotPoints(), null, 'nothing left to send');
+
+    const plots = sim.plots();
+    assert.deepEqual(x, plots.VC.x);
+    assert.deepEqual(y, plots.VC.y);
+});
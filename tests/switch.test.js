@@ -0,0 +1,153 @@
+/**
+ * Switches between a large charged bank (nearly a constant source over the
+ * run) and a resistive load: time-controlled ones, and self-breaking ones
+ * against the closed forms of their arc laws.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitCompiler } from '../Core/topology.js';
+import { createRandom } from '../Core/random.js';
+import { Simulation } from '../Core/simulation.js';
+import { compileDeck, runDeck, assertClose } from './helpers.js';
+
+test('SWITCH Instant steps from R_open to R_close at t_switch', () => {
+    const run = runDeck(`
+Time-step 0.1n
+End-time 300n
+RCGround 1e12 1m NAME=BANK
+Initial BANK 1000
+SWITCH Instant 1e6 0.1 100n
+TXT ISW
+RCGround 0.9 0
+`);
+    // Open: 1 kV across ~1 Mohm
+    assertClose(run.at('ISW', 50e-9), 1e-3, 1e-5, 'open current');
+    assertClose(run.at('ISW', 99e-9), 1e-3, 1e-5, 'open current before t_switch');
+
+    // Closed: 1 kV across 1 ohm, rising through the switch's 1 nH (tau = 1 ns)
+    for (const t of [101e-9, 103e-9, 110e-9]) {
+        const expected = 1000 * (1 - Math.exp(-(t - 100e-9) / 1e-9));
+        assertClose(run.at('ISW', t), expected, 0.05 * 1000, `ISW at ${t}s`);
+    }
+    assertClose(run.at('ISW', 200e-9), 1000, 1, 'closed current');
+});
+
+test('SWITCH Exponential decays R1*exp(-k t) + R2 after t_switch', () => {
+    const run = runDeck(`
+Time-step 0.1n
+End-time 300n
+RCGround 1e12 1m NAME=BANK
+Initial BANK 1000
+SWITCH Exponential 9 1 1e8 100n
+TXT ISW
+RCGround 0 0
+`);
+    const current = (t) => (t < 100e-9) ? 100 : 1000 / (9 * Math.exp(-1e8 * (t - 100e-9)) + 1);
+
+    assertClose(run.at('ISW', 50e-9), current(50e-9), 0.1, 'before t_switch');
+    // The 1 nH switch inductance lags the resistive answer slightly
+    for (const t of [110e-9, 120e-9, 150e-9, 200e-9, 300e-9]) {
+        assertClose(run.at('ISW', t), current(t), 20, `ISW at ${t}s`);
+    }
+});
+
+test('the matrix is only refactored when the switch changes', () => {
+    const run = runDeck(`
+Time-step 0.1n
+End-time 300n
+RCGround 1e12 1m NAME=BANK
+Initial BANK 1000
+SWITCH Instant 1e6 0.1 100n
+TXT ISW
+RCGround 0.9 0
+`);
+    // Once for the first step, once when the switch closes
+    assert.equal(run.sim.solver.factorizations, 2);
+});
+
+test('switch jitter is drawn only for Monte Carlo runs', () => {
+    const deck = `
+RCGround 1e12 1m
+SWITCH Voltage 1e8 0.1 500 20n 5n
+RCGround 1 0
+`;
+    const delay = (compiler) => compiler.compile(deck).nodes.find(node => node.isSwitch).switchParams.tDelay;
+
+    assert.equal(delay(new CircuitCompiler()), 20e-9);
+
+    const draw = (seed) => {
+        const compiler = new CircuitCompiler();
+        compiler.random = createRandom(seed);
+        compiler.sampleTolerances = true;
+        return delay(compiler);
+    };
+    assert.notEqual(draw(1), 20e-9);
+    assert.equal(draw(1), draw(1));
+});
+
+test('SWITCH Voltage fires t_delay after the voltage across it reaches V_break', () => {
+    // A 1 kV ramp over 200 ns reaches the 500 V breakdown at 100 ns
+    const run = runDeck(`
+Time-step 0.1n
+End-time 200n
+VSOURCE RAMP 1000 200n R=1
+SWITCH Voltage 1e9 0.01 500 20n
+TXT ISW
+RCGround 1 0
+`);
+    const [fired] = run.sim.drainEvents().filter(e => e.type === 'SWITCH_FIRED');
+    assertClose(fired.time, 120e-9, 0.2e-9, 'firing time');
+
+    assert.ok(Math.abs(run.at('ISW', 119e-9)) < 1e-3, 'open until it fires');
+    // Closed: the ramp across the 1 ohm source, R_close and the 1 ohm load
+    for (const t of [130e-9, 150e-9, 190e-9]) {
+        assertClose(run.at('ISW', t), 1000 * (t / 200e-9) / 2.01, 2, `ISW at ${t}s`);
+    }
+});
+
+// Steps a self-breaking switch from a stiff 10 kV bank into a 10 ohm load
+// and returns its channel integral at each of 'times' (whole ns).
+function arcIntegrals(type, times) {
+    const sim = new Simulation(compileDeck(`
+Time-step 1n
+End-time ${times[times.length - 1]}n
+RCGround 1e12 1
+Initial VC1 10e3
+SWITCH ${type} 1e8 0 5e3 0.01 1
+RCGround 10 0
+`));
+    const node = sim.config.nodes.find(n => n.isSwitch);
+    sim.recordInitial();
+    return times.map(t => {
+        sim.advance(t - sim.steps);
+        return node.switchState.integral;
+    });
+}
+
+test('SWITCH Rompe-Weizel closes as its integral of I^2 grows', () => {
+    // With R = K / sqrt(G), G = integral(I^2 dt) and I = V / (R_load + R),
+    //   (R_load + K / sqrt(G))^2 dG = V^2 dt
+    // integrates to F(G) = R_load^2 G + 4 R_load K sqrt(G) + K^2 ln(G).
+    const K = 1 / Math.sqrt(2 * 0.8 / 1);     // 1 cm gap at 1 atm
+    const F = (G) => 100 * G + 40 * K * Math.sqrt(G) + K * K * Math.log(G);
+    const [G1, G2] = arcIntegrals('Rompe-Weizel', [200, 2000]);
+    assertClose(F(G2) - F(G1), 1e8 * 1.8e-6, 1e8 * 1.8e-6 * 0.01, 'F(G2) - F(G1)');
+});
+
+test('SWITCH Braginskii closes as its integral of |I|^(2/3) grows', () => {
+    // With R = K / H, H = integral(|I|^(2/3) dt) and I = V / (R_load + R),
+    //   dt = (R_load + K / H)^(2/3) dH / V^(2/3)
+    const rho = 1.29 * 1;
+    const k = Math.cbrt(4 / (Math.PI * Math.PI * 4.5 * rho * 2.5e4));
+    const K = 0.01 / (2.5e4 * Math.PI * k);
+    const [H1, H2] = arcIntegrals('Braginskii', [50, 1000]);
+
+    // Simpson's rule from H1 to H2
+    const f = (H) => Math.pow(10 + K / H, 2 / 3) / Math.cbrt(1e8);
+    const n = 1000;
+    const h = (H2 - H1) / n;
+    let sum = f(H1) + f(H2);
+    for (let j = 1; j < n; j++) sum += (j % 2 ? 4 : 2) * f(H1 + j * h);
+    assertClose(sum * h / 3, 950e-9, 950e-9 * 0.01, 'time from H1 to H2');
+});
@@ -0,0 +1,60 @@
+/**
+ * Table-driven RLSeries / RCGround values against their limiting cases:
+ * a resistor following its table, and the charge and flux an ideal
+ * capacitor or inductor keeps while its value changes.
+ */
+
+import { test } from 'node:test';
+import { runDeck, assertClose } from './helpers.js';
+
+test('a table-driven resistor carries V/R(t) from a stiff bank', () => {
+    const run = runDeck(`
+Time-step 0.1n
+End-time 300n
+RCGround 1e12 1
+Initial VC1 1000
+TABLE RS 0 1 100n 1 200n 4
+RLSeries TABLE:RS 10p
+TXT IR
+RCGround 1u 0
+`);
+    const R = (t) => (t < 100e-9) ? 1 : Math.min(4, 1 + 3 * (t - 100e-9) / 100e-9);
+    // The 10 pH lags the resistive answer by L/R <= 10 ps
+    for (const t of [50e-9, 120e-9, 150e-9, 180e-9, 250e-9]) {
+        assertClose(run.at('IR', t), 1000 / R(t), 0.01 * 1000 / R(t), `IR at ${t}s`);
+    }
+});
+
+test('an isolated table-driven capacitor keeps its charge', () => {
+    // C doubles over 1 us: V = Q / C(t) halves
+    const run = runDeck(`
+Time-step 1n
+End-time 1.5u
+TABLE CT 0 1u 1u 2u
+RCGround 1e12 TABLE:CT
+Initial VC 1000
+TXT VC
+`);
+    for (const t of [0, 0.25e-6, 0.5e-6, 1e-6, 1.5e-6]) {
+        const C = 1e-6 * (1 + Math.min(1, t / 1e-6));
+        assertClose(run.at('VC', t), 1000 * 1e-6 / C, 2, `VC at ${t}s`);
+    }
+});
+
+test('a shorted table-driven inductor keeps its flux', () => {
+    // L doubles over 1 us: I = flux / L(t) halves
+    const run = runDeck(`
+Time-step 1n
+End-time 1.5u
+RCGround 1u 0
+TABLE LT 0 1u 1u 2u
+RLSeries 0 TABLE:LT NAME=COIL
+Initial IL COIL 1000
+TXT IL COIL
+RCGround 1u 0
+`);
+    for (const t of [0, 0.25e-6, 0.5e-6, 1e-6, 1.5e-6]) {
+        const L = 1e-6 * (1 + Math.min(1, t / 1e-6));
+        assertClose(run.at('IL', t), 1000 * 1e-6 / L, 2, `IL at ${t}s`);
+    }
+});
@@ -0,0 +1,84 @@
+/**
+ * Piecewise (Time-step ... FROM) and adaptive (ADAPTIVE-STEP) time bases.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runDeck, assertClose, compileDeck } from './helpers.js';
+
+test('Time-step FROM switches to the new step at the given time', () => {
+    const run = runDeck(`
+Time-step 10n
+Time-step 0.1n FROM 90n
+End-time 150n
+RCGround 1e12 1m NAME=BANK
+Initial BANK 1000
+SWITCH Instant 1e6 0.1 100n
+TXT ISW
+RCGround 0.9 0
+`);
+    assert.equal(run.config.schedule.length, 2);
+    assertClose(run.config.schedule[1].from, 90e-9, 1e-15, 'second segment start');
+    // 9 coarse steps, then 600 fine ones
+    assert.equal(run.time.length, 1 + 9 + 600);
+    assertClose(run.time[9], 90e-9, 1e-15, 'segment boundary');
+    assertClose(run.time[10] - run.time[9], 0.1e-9, 1e-15, 'fine step');
+
+    for (const t of [101e-9, 103e-9, 110e-9]) {
+        const expected = 1000 * (1 - Math.exp(-(t - 100e-9) / 1e-9));
+        assertClose(run.at('ISW', t), expected, 0.05 * 1000, `ISW at ${t}s`);
+    }
+});
+
+test('ADAPTIVE-STEP lands on the switching time and refines after it', () => {
+    const run = runDeck(`
+Time-step 5n
+ADAPTIVE-STEP 0.05n TOL=0.01
+End-time 300n
+RCGround 1e12 1m NAME=BANK
+Initial BANK 1000
+SWITCH Instant 1e6 0.1 100n
+TXT ISW
+RCGround 0.9 0
+`);
+    assert.ok(run.time.some(t => Math.abs(t - 100e-9) < 1e-15), 'a step ends on t_switch');
+    const k = run.time.findIndex(t => t > 100e-9 + 1e-15);
+    assertClose(run.time[k] - run.time[k - 1], 0.05e-9, 1e-15, 'first step after the switch');
+    // Far fewer steps than a uniform 0.05 ns run (6000)
+    assert.ok(run.time.length < 1500, `${run.time.length} steps`);
+    assertClose(run.time[run.time.length - 1], 300e-9, 1e-15, 'ends on End-time');
+
+    assertClose(run.at('ISW', 50e-9), 1e-3, 1e-5, 'open current');
+    for (const t of [101e-9, 103e-9, 110e-9]) {
+        const expected = 1000 * (1 - Math.exp(-(t - 100e-9) / 1e-9));
+        assertClose(run.at('ISW', t), expected, 0.05 * 1000, `ISW at ${t}s`);
+    }
+    assertClose(run.at('ISW', 200e-9), 1000, 1, 'closed current');
+});
+
+test('adaptive RC discharge matches the uniform answer', () => {
+    const run = runDeck(`
+Time-step 50n
+ADAPTIVE-STEP 1n TOL=0.001
+End-time 3u
+RCGround 1e12 1u NAME=CAP
+Initial CAP 1000
+TXT VC
+RCGround 1 0
+`);
+    for (const t of [0.25e-6, 0.5e-6, 1e-6, 2e-6, 3e-6]) {
+        const expected = 1000 * Math.exp(-t / 1e-6);
+        assertClose(run.at('VC', t), expected, 0.005 * 1000, `VC at ${t}s`);
+    }
+});
+
+test('schedule entries past End-time are dropped with a warning', () => {
+    const config = compileDeck(`
+Time-step 1n
+Time-step 0.1n FROM 200n
+End-time 100n
+RCGround 1 1n
+`);
+    assert.deepEqual(config.schedule, [{ from: 0, dt: 1e-9 }]);
+    assert.ok(config.diagnostics.some(d => d.severity === 'warning' && /not before End-time/.test(d.message)));
+});
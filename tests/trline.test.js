@@ -0,0 +1,107 @@
+/**
+ * Transmission lines: a charged line discharged into a resistive load
+ * (pulse-forming line). The load sees V0*R/(R+Z) for the two-way transit
+ * time 2T, and each later 2T interval is scaled by the reflection
+ * coefficient (R-Z)/(R+Z). Lossy and tapered lines are driven by a
+ * matched step source instead and checked at the wavefront.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runDeck, assertClose } from './helpers.js';
+
+const Z = 10;
+const T = 10e-9;
+
+function pflDeck(rLoad) {
+    return `
+Time-step 0.1n
+End-time 70n
+TRLine Linear 10n ${Z} 0.1n NAME=PFL
+Initial PFL 1000
+RCGround ${rLoad} 0
+TXT VLOAD
+`;
+}
+
+// Expected load voltage in the middle of transit interval n (0, 1, 2...)
+function plateau(rLoad, n) {
+    const gamma = (rLoad - Z) / (rLoad + Z);
+    return 1000 * rLoad / (rLoad + Z) * Math.pow(gamma, n);
+}
+
+// First time after 'from' where |v| drops below 'level'
+function fallTime(run, label, from, level) {
+    const data = run.trace(label);
+    for (let i = Math.ceil(from / run.config.dt); i < data.length; i++) {
+        if (Math.abs(data[i]) < level) return run.time[i];
+    }
+    return Infinity;
+}
+
+test('matched line gives a flat V0/2 pulse lasting 2T', () => {
+    const run = runDeck(pflDeck(Z));
+    for (const t of [2e-9, 10e-9, 18e-9]) {
+        assertClose(run.at('VLOAD', t), 500, 5, `VLOAD at ${t}s`);
+    }
+    // No reflection returns from a matched load
+    for (const t of [25e-9, 30e-9, 50e-9, 65e-9]) {
+        assertClose(run.at('VLOAD', t), 0, 5, `VLOAD at ${t}s`);
+    }
+    // The pulse ends one round trip after it starts
+    assertClose(fallTime(run, 'VLOAD', 5e-9, 250), 2 * T, 0.5e-9, 'pulse end');
+});
+
+test('mismatched load steps by the reflection coefficient', () => {
+    for (const rLoad of [30, 10 / 3]) {
+        const run = runDeck(pflDeck(rLoad));
+        for (let n = 0; n < 3; n++) {
+            const t = (2 * n + 1) * T;
+            assertClose(run.at('VLOAD', t), plateau(rLoad, n), 0.01 * 1000,
+                `R=${rLoad} interval ${n}`);
+        }
+        // A load below Z inverts the reflected step
+        if (rLoad < Z) assert.ok(run.at('VLOAD', 3 * T) < 0, 'reflection should invert');
+    }
+});
+
+// A 50 ns line driven from a source matched to its input, into a load
+// matched to its output. The incident wave is 1 kV.
+function drivenDeck(line, zIn, zOut, tEnd = '1u') {
+    return `
+Time-step 0.1n
+End-time ${tEnd}
+VSOURCE RAMP 2000 2n R=${zIn}
+${line}
+RCGround ${zOut} 0
+TXT VLOAD
+`;
+}
+
+test('series loss attenuates the wavefront by exp(-R len / 2Z)', () => {
+    // 0.2 ohm/m over 100 m of a 50 ohm line
+    const run = runDeck(drivenDeck('TRLine Linear 50n 50 0.1n R=0.2 LENGTH=100', 50, 50, '60n'));
+    assertClose(run.at('VLOAD', 55e-9), 1000 * Math.exp(-0.2 * 100 / (2 * 50)), 5, 'wavefront');
+});
+
+test('a distortionless line (R/L = G/C) keeps the step flat', () => {
+    // G = R / Z^2: the loss is exp(-R len / Z) and the step keeps its shape
+    const run = runDeck(drivenDeck('TRLine Linear 50n 50 0.1n R=0.2 G=8e-5 LENGTH=100', 50, 50));
+    const expected = 1000 * Math.exp(-0.2 * 100 / 50);
+    for (const t of [55e-9, 70e-9, 100e-9, 500e-9]) {
+        assertClose(run.at('VLOAD', t), expected, 1, `VLOAD at ${t}s`);
+    }
+});
+
+test('a tapered line steps the wavefront up by sqrt(Z_out/Z_in)', () => {
+    for (const profile of ['Exponential', 'Linear-taper']) {
+        const run = runDeck(drivenDeck(`TRLine ${profile} 50n 5 20 0.1n`, 5, 20));
+        // Energy flux is kept along a smooth taper: 1 kV * sqrt(20/5). The
+        // step droops behind the front as the taper leaks low frequencies.
+        let front = 0;
+        for (let t = 50e-9; t <= 60e-9; t += 0.5e-9) front = Math.max(front, run.at('VLOAD', t));
+        assertClose(front, 2000, 0.02 * 2000, `${profile} wavefront`);
+        // Long after, the line is a wire between the 5 ohm source and 20 ohm load
+        assertClose(run.at('VLOAD', 900e-9), 2000 * 20 / 25, 1, `${profile} DC level`);
+    }
+});
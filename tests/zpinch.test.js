@@ -0,0 +1,59 @@
+/**
+ * Z-pinch loads against the thin-shell limits: a shell driven by a constant
+ * current, and a shell too heavy to move.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../Core/simulation.js';
+import { compileDeck, runDeck, assertClose } from './helpers.js';
+
+const MU0 = 4e-7 * Math.PI;
+
+test('a shell driven by a constant current gains the work of the magnetic pressure', () => {
+    // 2 cm long, 1 mg shell from 1 cm to 1 mm at 1 MA. The force is
+    // mu0 l I^2 / (4 pi r), so the kinetic energy is the work
+    //   m v^2 / 2 = (mu0 l I^2 / 4 pi) ln(r0 / r)
+    const sim = new Simulation(compileDeck(`
+Time-step 0.1n
+End-time 600n
+ISOURCE STEP 1e6
+ZPINCH 0.01 0.02 1e-6 0.001 0.012 NAME=PINCH
+TXT IP PINCH
+RCGround 1u 0
+`));
+    const node = sim.config.nodes.find(n => n.isPinch);
+    const force = MU0 * 0.02 * 1e12 / (4 * Math.PI);
+    sim.recordInitial();
+    for (const steps of [1000, 2000, 2500]) {
+        sim.advance(steps - sim.steps);
+        const { r, v } = node.pinchState;
+        assert.ok(r > 0.001 && r < 0.01, `imploding at step ${steps}: r = ${r}`);
+        const work = force * Math.log(0.01 / r);
+        assertClose(0.5 * 1e-6 * v * v, work, 0.01 * work, `kinetic energy at step ${steps}`);
+        assertClose(node.L, (MU0 * 0.02 / (2 * Math.PI)) * Math.log(0.012 / r), 1e-15, `inductance at step ${steps}`);
+    }
+    sim.advance(Infinity);
+
+    const [stagnation] = sim.drainEvents().filter(e => e.type === 'PINCH_STAGNATED');
+    assert.ok(stagnation, 'the shell stagnates');
+    assert.equal(node.pinchState.r, 0.001);
+    assertClose(sim.trace('IP')[sim.steps], 1e6, 1e3, 'driven current');
+});
+
+test('a shell too heavy to move is a fixed inductance', () => {
+    // L = (mu0 l / 2 pi) ln(2) = 2.77 nH decaying into 2 mohm: tau = 1.39 us
+    const L = (MU0 * 0.02 / (2 * Math.PI)) * Math.log(2);
+    const run = runDeck(`
+Time-step 1n
+End-time 3u
+RCGround 1u 0
+ZPINCH 0.01 0.02 1e3 0.001 0.02 NAME=PINCH
+Initial IL PINCH 1000
+TXT IP PINCH
+RCGround 2m 0
+`);
+    for (const t of [0.5e-6, 1e-6, 2e-6, 3e-6]) {
+        assertClose(run.at('IP', t), 1000 * Math.exp(-t * 2e-3 / L), 2, `IP at ${t}s`);
+    }
+});
@@ -1,172 +1,168 @@
 /**
  * worker.js
  * The background thread manager.
- * Handles simulation loop, buffering, and CSV generation.
+ * Compiles the deck and drives a Simulation in chunks, posting progress,
+ * plot data and the result files back to the UI.
+ * Commands: START, STOP, PAUSE, RESUME and CHECKPOINT (posts the run's
+ * state as a JSON file that START can continue from).
  * UPDATE: Explicit recording of t=0 Initial State to fix startup glitch.
  */
 
 import { CircuitCompiler } from './Core/topology.js';
-import { Solver } from './Core/solver.js';
+import { Simulation, formatLedger, ledgerCsv } from './Core/simulation.js';
+import { createRandom } from './Core/random.js';
+import { describeTimeBase } from './Core/timestep.js';
+import { exportRun } from './Core/export.js';
 
 let isRunning = false;
 
+// The current run, kept after it finishes so it can still be checkpointed
+let sim = null;
+let runInfo = null;
+let paused = false;
+
 self.onmessage = async (e) => {
-    const { command, payload } = e.data;
+    const { command, payload, parameters, seed, checkpoint, exports, stream } = e.data;
 
     if (command === 'START') {
-        runSimulation(payload);
+        // 'parameters' overrides deck PARAMETER values (one run of a sweep);
+        // 'seed' makes this one randomised run of a Monte Carlo series;
+        // 'checkpoint' continues a saved run with this (possibly edited) deck;
+        // 'exports' lists the result formats (keys of EXPORT_FORMATS), [] for none;
+        // 'stream: false' skips the live PLOT_POINTS (pooled runs keep only the final plot).
+        runSimulation(payload, parameters || {}, seed, checkpoint, exports || ['csv'], stream !== false);
     } 
     else if (command === 'STOP') {
         isRunning = false;
+        paused = false;
+    }
+    else if (command === 'PAUSE') {
+        if (!isRunning || paused) return;
+        paused = true;
+        clearTimeout(runInfo.timer);
+        self.postMessage({ type: 'PAUSED', time: sim.stepper.time });
+        self.postMessage({ type: 'LOG', msg: `Paused at t=${sim.stepper.time.toExponential(3)}s` });
+    }
+    else if (command === 'RESUME') {
+        if (!isRunning || !paused) return;
+        paused = false;
+        self.postMessage({ type: 'LOG', msg: 'Resumed' });
+        runInfo.loop();
+    }
+    else if (command === 'CHECKPOINT') {
+        if (!sim) {
+            self.postMessage({ type: 'ERROR', msg: 'No run to checkpoint' });
+            return;
+        }
+        const cp = sim.checkpoint({ deck: runInfo.deck, parameters: runInfo.parameters, seed: runInfo.seed });
+        self.postMessage({
+            type: 'CHECKPOINT',
+            time: cp.time,
+            file: {
+                name: `checkpoint_t=${cp.time.toExponential(3)}.json`,
+                blob: new Blob([JSON.stringify(cp)], { type: 'application/json' })
+            }
+        });
     }
 };
 
-function runSimulation(scriptText) {
+function runSimulation(scriptText, parameters, seed, checkpoint, exports, stream) {
     isRunning = true;
+    paused = false;
+    sim = null;
     self.postMessage({ type: 'LOG', msg: 'Compiling circuit...' });
 
     try {
         const compiler = new CircuitCompiler();
-        const config = compiler.compile(scriptText);
+        if (seed !== undefined) {
+            compiler.random = createRandom(seed);
+            compiler.sampleTolerances = true;
+        }
+        const config = compiler.compile(scriptText, parameters);
+
+        if (config.diagnostics.length > 0) {
+            self.postMessage({ type: 'DIAGNOSTICS', diagnostics: config.diagnostics });
+        }
+        const errorCount = config.diagnostics.filter(d => d.severity === 'error').length;
+        if (errorCount > 0) {
+            isRunning = false;
+            self.postMessage({ type: 'ERROR', msg: `Deck has ${errorCount} error(s); run aborted.` });
+            return;
+        }
         
         self.postMessage({ type: 'LOG', msg: `Compiled: ${config.nodes.length} nodes (Real + Phantom)` });
-        self.postMessage({ type: 'LOG', msg: `Time Step: ${config.dt.toExponential(2)}s` });
+        self.postMessage({ type: 'LOG', msg: `Time Step: ${describeTimeBase(config.schedule, config.adaptive)}` });
 
-        const solver = new Solver(config.nodes, config.dt);
-        
-        // Total steps + 1 for t=0
-        const totalSteps = Math.ceil(config.t_end / config.dt) + 1;
+        sim = new Simulation(config);
         const stepsPerChunk = 5000; 
-        
-        const plotDownsampleRate = Math.max(1, Math.ceil(totalSteps / 2000));
-        const plotData = {};
-        
-        const prevValues = new Float64Array(config.outputRequests.length).fill(0);
-
-        config.outputRequests.forEach((req, idx) => {
-            plotData[req.label] = { 
-                x: [], 
-                y: [], 
-                fullDataV: new Float64Array(totalSteps), 
-            };
-            // Initialize prevValues with the t=0 state from the solver
-            // Solver constructor already populated V_old with Initial Conditions
-            prevValues[idx] = solver.getValue(req.nodeIndex, req.type);
-        });
-        
-        const csvTimeBuffer = new Float64Array(totalSteps);
-
-        // --- RECORD T=0 STATE ---
-        // We do this manually before the loop to capture the perfect initial condition
-        // without solver artifacts.
-        csvTimeBuffer[0] = 0.0;
-        config.outputRequests.forEach((req, idx) => {
-            // Get initial value (V_old is set, I_old is 0)
-            // Note: For I, if the circuit has initial current, we might need more complex logic
-            // but usually I(0) is 0 or user-defined.
-            // Solver.getValue currently returns V_new/I_new.
-            // We need a way to peek at V_old for t=0. 
-            // Since step() hasn't run, V_old holds the ICs.
-            // We will trust the solver.getValue() returns 0s (default) or we update solver to peek.
-            
-            // Actually, simplified approach: Solver has V_old populated.
-            // But getValue returns V_new. V_new is 0s right now.
-            // Let's modify the loop to handle t=0 separately? 
-            // Better: Just record the IC we know.
-            
-            const val = (req.type === 'voltage') ? 
-                        (solver.mem.V_old[req.nodeIndex]) : 
-                        (solver.mem.I_old[req.nodeIndex]);
-
-            const dataset = plotData[req.label];
-            dataset.fullDataV[0] = val;
-            dataset.x.push(0);
-            dataset.y.push(val);
-            
-            prevValues[idx] = val;
-        });
 
-        // Start loop at i=1 (t=dt)
-        let currentStep = 1;
+        if (checkpoint) {
+            const r = sim.restore(checkpoint);
+            self.postMessage({ type: 'LOG', msg: `Resuming from checkpoint at t=${r.time.toExponential(3)}s (${r.nodes} of ${config.nodes.length} nodes restored)` });
+            if (r.newProbes.length > 0) {
+                self.postMessage({ type: 'LOG', msg: `New probes start at the checkpoint: ${r.newProbes.join(', ')}` });
+            }
+        } else {
+            sim.recordInitial();
+        }
         const startTime = performance.now();
+        runInfo = { deck: scriptText, parameters: compiler.parameters, seed: seed, loop: loop, timer: null };
 
         function loop() {
-            if (!isRunning) return;
-
-            const endStep = Math.min(currentStep + stepsPerChunk, totalSteps);
-
-            for (let i = currentStep; i < endStep; i++) {
-                // i=1 corresponds to t = 1*dt
-                const t = i * config.dt;
-                
-                solver.step(t);
-
-                csvTimeBuffer[i] = t;
+            if (!isRunning || paused) return;
 
-                config.outputRequests.forEach((req, idx) => {
-                    const rawVal = solver.getValue(req.nodeIndex, req.type);
-                    
-                    // Trapezoidal Averaging
-                    const smoothedVal = 0.5 * (rawVal + prevValues[idx]);
-                    prevValues[idx] = rawVal;
+            sim.advance(stepsPerChunk);
 
-                    const dataset = plotData[req.label];
-                    dataset.fullDataV[i] = smoothedVal;
-
-                    if (i % plotDownsampleRate === 0) {
-                        dataset.x.push(t);
-                        dataset.y.push(smoothedVal);
-                    }
-                });
+            // Forward solver events (e.g. self-breaking switch firings)
+            for (const ev of sim.drainEvents()) {
+                self.postMessage({ type: 'LOG', msg: ev.msg });
             }
 
-            currentStep = endStep;
+            // Stream this chunk's plot points so the traces grow live
+            if (stream) {
+                const points = sim.newPlotPoints();
+                if (points) self.postMessage({ type: 'PLOT_POINTS', data: points });
+            }
             
-            const pct = Math.round((currentStep / totalSteps) * 100);
-            self.postMessage({ type: 'PROGRESS', pct: pct });
+            self.postMessage({ type: 'PROGRESS', pct: sim.progress });
 
-            if (currentStep < totalSteps) {
-                setTimeout(loop, 0); 
+            if (!sim.done) {
+                runInfo.timer = setTimeout(loop, 0); 
             } else {
                 finish();
             }
         }
 
         function finish() {
+            isRunning = false;
             const duration = (performance.now() - startTime).toFixed(2);
-            self.postMessage({ type: 'LOG', msg: `Simulation complete in ${duration}ms` });
+            self.postMessage({ type: 'LOG', msg: `Simulation complete in ${duration}ms (${sim.steps} steps)` });
 
-            const plots = {};
-            Object.keys(plotData).forEach(key => {
-                plots[key] = { x: plotData[key].x, y: plotData[key].y };
-            });
-            self.postMessage({ type: 'PLOT_DATA', data: plots });
+            self.postMessage({ type: 'PLOT_DATA', data: sim.plots() });
+            self.postMessage({ type: 'SUMMARY', metrics: sim.summarize() });
 
-            self.postMessage({ type: 'LOG', msg: 'Generating CSV file...' });
-            
-            const headers = ['Time(s)', ...Object.keys(plotData)];
-            let csvContent = headers.join(',') + '\n';
-            
-            const keys = Object.keys(plotData);
-            for(let i=0; i<csvTimeBuffer.length; i++) {
-                let row = [csvTimeBuffer[i].toExponential(6)];
-                for(const key of keys) {
-                    row.push(plotData[key].fullDataV[i].toExponential(6));
-                }
-                csvContent += row.join(',') + '\n';
+            const ledger = sim.energyLedger();
+            self.postMessage({ type: 'ENERGY', ledger: ledger });
+            formatLedger(ledger).forEach(line => self.postMessage({ type: 'LOG', msg: line }));
+
+            if (exports.length === 0) {
+                self.postMessage({ type: 'CSV_READY', files: [] });
+                return;
             }
+            self.postMessage({ type: 'LOG', msg: `Generating ${exports.join(', ')} output...` });
 
-            const blob = new Blob([csvContent], { type: 'text/csv' });
-            
-            self.postMessage({ 
-                type: 'CSV_READY', 
-                files: [{ name: 'simulation_output.csv', blob: blob }] 
-            });
+            const meta = { deck: runInfo.deck, parameters: runInfo.parameters, seed: runInfo.seed };
+            const files = exports.flatMap(format => exportRun(sim, format, meta))
+                .map(file => ({ name: file.name, blob: new Blob(file.parts, { type: file.type }) }));
+            files.push({ name: 'energy_ledger.csv', blob: new Blob([ledgerCsv(ledger)], { type: 'text/csv' }) });
+
+            self.postMessage({ type: 'CSV_READY', files: files });
         }
 
         loop();
 
     } catch (err) {
+        isRunning = false;
         self.postMessage({ type: 'ERROR', msg: err.message });
         console.error(err);
     }